@@ -0,0 +1,151 @@
+/**
+ * Cache des réponses FHIR (et geo.api.gouv.fr, api-adresse.data.gouv.fr) — clé = URL normalisée
+ * Backend : KV (binding FHIR_CACHE) si présent, sinon Cache API de l'edge,
+ * sinon Map en mémoire (wrangler pages dev, tests locaux)
+ */
+
+import { API_BASE, normalizeFhirUrl } from './fhir.js';
+
+// TTL en secondes par type de ressource (le référentiel est mis à jour quotidiennement)
+const TTL_BY_RESOURCE = {
+  Practitioner: 6 * 3600,
+  PractitionerRole: 6 * 3600,
+  Organization: 24 * 3600,
+  // geo.api.gouv.fr (voir geo.js) : découpage communal quasi statique
+  communes: 30 * 24 * 3600,
+  departements: 30 * 24 * 3600,
+  // api-adresse.data.gouv.fr (voir geocode.js) : coordonnées des adresses de structures
+  search: 30 * 24 * 3600,
+  // Suggestions de /api/suggest (clé interne) : courte durée, la saisie se répète vite
+  suggest: 300,
+};
+const DEFAULT_TTL = 3600;
+const KV_MIN_TTL = 60;
+const MEMORY_MAX_ENTRIES = 500;
+const CACHE_KEY_ORIGIN = 'https://fhir-cache.annuaire-sante.internal';
+
+// ─── Per-request session ───
+
+/**
+ * Ajoute à env une session de cache pour la requête en cours, ainsi que la trace
+ * posée par le middleware /api (budget de sous-requêtes, voir trace.js).
+ * ?nocache=1 ou Cache-Control: no-cache → lecture ignorée, réponses fraîches réécrites en cache.
+ */
+export function withCache(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const bypass = url.searchParams.get('nocache') === '1'
+    || /no-cache/i.test(request.headers.get('Cache-Control') || '');
+
+  return {
+    ...env,
+    cache: createCacheSession(env, { bypass, waitUntil: context.waitUntil?.bind(context) }),
+    trace: context.data?.trace || null,
+  };
+}
+
+function createCacheSession(env, { bypass, waitUntil }) {
+  const store = selectStore(env);
+  const session = {
+    bypass,
+    hits: 0,
+    misses: 0,
+
+    async get(fhirUrl) {
+      if (bypass) return null;
+      const data = await store.get(await cacheKey(fhirUrl)).catch(() => null);
+      if (data) session.hits++;
+      else session.misses++;
+      return data;
+    },
+
+    async put(fhirUrl, data) {
+      const write = cacheKey(fhirUrl)
+        .then(key => store.put(key, data, ttlFor(fhirUrl)))
+        .catch(() => {}); // un échec d'écriture ne doit pas faire échouer la recherche
+      if (waitUntil) waitUntil(write);
+      else await write;
+    },
+
+    status() {
+      if (bypass) return 'BYPASS';
+      if (session.hits && !session.misses) return 'HIT';
+      if (session.hits) return 'PARTIAL';
+      return 'MISS';
+    },
+  };
+  return session;
+}
+
+// Ajoute les en-têtes X-Cache-* à une réponse de Pages Function
+export function withCacheHeaders(response, cache) {
+  if (!cache) return response;
+  response.headers.set('X-Cache-Status', cache.status());
+  response.headers.set('X-Cache-Hits', `${cache.hits}/${cache.hits + cache.misses}`);
+  response.headers.set('Access-Control-Expose-Headers', 'X-Cache-Status, X-Cache-Hits');
+  return response;
+}
+
+// ─── Keys & TTL ───
+
+async function cacheKey(fhirUrl) {
+  const bytes = new TextEncoder().encode(normalizeFhirUrl(fhirUrl));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `fhir:${hex}`;
+}
+
+function ttlFor(fhirUrl) {
+  const path = fhirUrl.startsWith(API_BASE) ? fhirUrl.slice(API_BASE.length) : new URL(fhirUrl).pathname;
+  const resourceType = path.replace(/^\//, '').split(/[/?]/)[0];
+  return TTL_BY_RESOURCE[resourceType] || DEFAULT_TTL;
+}
+
+// ─── Stores ───
+
+function selectStore(env) {
+  if (env.FHIR_CACHE) return kvStore(env.FHIR_CACHE);
+  if (typeof caches !== 'undefined' && caches.default) return edgeStore(caches.default);
+  return memoryStore;
+}
+
+function kvStore(kv) {
+  return {
+    get: key => kv.get(key, 'json'),
+    put: (key, data, ttl) => kv.put(key, JSON.stringify(data), { expirationTtl: Math.max(ttl, KV_MIN_TTL) }),
+  };
+}
+
+function edgeStore(cache) {
+  const toRequest = key => new Request(`${CACHE_KEY_ORIGIN}/${key}`);
+  return {
+    async get(key) {
+      const res = await cache.match(toRequest(key));
+      return res ? res.json() : null;
+    },
+    put: (key, data, ttl) => cache.put(toRequest(key), new Response(JSON.stringify(data), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${ttl}` },
+    })),
+  };
+}
+
+// Stocke du JSON sérialisé pour que les appelants ne puissent pas muter l'entrée en cache
+const memoryEntries = new Map();
+const memoryStore = {
+  async get(key) {
+    const entry = memoryEntries.get(key);
+    if (!entry) return null;
+    if (entry.expires < Date.now()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.json);
+  },
+  async put(key, data, ttl) {
+    memoryEntries.delete(key);
+    memoryEntries.set(key, { json: JSON.stringify(data), expires: Date.now() + ttl * 1000 });
+    if (memoryEntries.size > MEMORY_MAX_ENTRIES) {
+      memoryEntries.delete(memoryEntries.keys().next().value);
+    }
+  },
+};
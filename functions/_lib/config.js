@@ -0,0 +1,101 @@
+/**
+ * Configuration des Pages Functions, lue et validée une fois par requête
+ * (middleware functions/api/_middleware.js) : une variable manquante ou mal formée
+ * donne une erreur 500 explicite plutôt qu'un appel à la passerelle voué à l'échec
+ *
+ * ESANTE_API_KEY      clé de la passerelle (obligatoire hors mode démo FHIR_FIXTURES=1, secret)
+ * API_KEYS            clés consommateurs : "nom:clé[:requêtes/min],…" (secret)
+ * RATE_LIMIT          requêtes/min par IP sans clé consommateur (défaut 120)
+ * API_KEY_RATE_LIMIT  requêtes/min par clé consommateur sans limite propre (défaut 600)
+ * ALLOWED_ORIGINS     origines autorisées en CORS : "https://a.fr,https://b.fr" ou "*"
+ * SUBREQUEST_LIMIT    sous-requêtes permises par invocation (50 en offre gratuite, 1000 en payant)
+ */
+
+import { HttpError } from './http.js';
+import { DEFAULT_SUBREQUEST_LIMIT } from './trace.js';
+import { fixturesEnabled } from './fixtures.js';
+
+const DEFAULT_RATE_LIMIT = 120;
+const DEFAULT_API_KEY_RATE_LIMIT = 600;
+const MIN_API_KEY_LENGTH = 16;
+
+// Analyse mémorisée par valeur brute : les variables ne changent pas pendant la vie de l'isolate
+let cached = { source: null, config: null };
+
+export function readConfig(env) {
+  const source = [env.FHIR_FIXTURES, env.ESANTE_API_KEY, env.API_KEYS, env.RATE_LIMIT, env.API_KEY_RATE_LIMIT, env.ALLOWED_ORIGINS, env.SUBREQUEST_LIMIT].join('\n');
+  if (cached.source === source) return cached.config;
+
+  const problems = [];
+  if (!env.ESANTE_API_KEY && !fixturesEnabled(env)) problems.push('ESANTE_API_KEY manquante');
+
+  const rateLimit = parseLimit(env.RATE_LIMIT, DEFAULT_RATE_LIMIT, 'RATE_LIMIT', problems);
+  const apiKeyRateLimit = parseLimit(env.API_KEY_RATE_LIMIT, DEFAULT_API_KEY_RATE_LIMIT, 'API_KEY_RATE_LIMIT', problems);
+  const config = {
+    rateLimit,
+    apiKeys: parseApiKeys(env.API_KEYS, apiKeyRateLimit, problems),
+    allowedOrigins: parseOrigins(env.ALLOWED_ORIGINS, problems),
+    subrequestLimit: parseLimit(env.SUBREQUEST_LIMIT, DEFAULT_SUBREQUEST_LIMIT, 'SUBREQUEST_LIMIT', problems),
+  };
+
+  if (problems.length) {
+    throw new HttpError(500, `Configuration serveur invalide : ${problems.join(' ; ')}`, 'config_error');
+  }
+  cached = { source, config };
+  return config;
+}
+
+// ─── Parsing ───
+
+function parseLimit(value, fallback, name, problems) {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    problems.push(`${name} doit être un entier positif`);
+    return fallback;
+  }
+  return limit;
+}
+
+// "crm:clé-secrète:1200,outil-rh:autre-clé" → Map clé → { name, limit }
+function parseApiKeys(value, defaultLimit, problems) {
+  const keys = new Map();
+  const items = (value || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const [i, item] of items.entries()) {
+    const [name, key, limit] = item.split(':').map(s => s.trim());
+    if (!name || !key) {
+      // Pas de citation de l'entrée : ce pourrait être une clé sans nom
+      problems.push(`API_KEYS : entrée n° ${i + 1} mal formée (attendu nom:clé[:limite])`);
+      continue;
+    }
+    if (key.length < MIN_API_KEY_LENGTH) {
+      problems.push(`API_KEYS : clé de « ${name} » trop courte (${MIN_API_KEY_LENGTH} caractères minimum)`);
+      continue;
+    }
+    if (keys.has(key)) {
+      problems.push(`API_KEYS : clé de « ${name} » en double`);
+      continue;
+    }
+    keys.set(key, { name, limit: parseLimit(limit, defaultLimit, `API_KEYS (${name})`, problems) });
+  }
+  return keys;
+}
+
+// null = même origine uniquement ; Set vide jamais renvoyé
+function parseOrigins(value, problems) {
+  const items = (value || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!items.length) return null;
+  if (items.includes('*')) return '*';
+
+  const origins = new Set();
+  for (const item of items) {
+    try {
+      const { origin } = new URL(item);
+      if (origin === 'null' || origin !== item.replace(/\/$/, '')) throw new Error();
+      origins.add(origin);
+    } catch {
+      problems.push(`ALLOWED_ORIGINS : « ${item} » n'est pas une origine (https://hote[:port])`);
+    }
+  }
+  return origins;
+}
@@ -0,0 +1,161 @@
+/**
+ * Coordonnées normalisées : téléphones et fax en E.164 (affichage à la française),
+ * e-mails en minuscules et validés, adresses structurées (voie, code postal, commune
+ * INSEE, pays), dédoublonnage des structures et coordonnées d'un praticien sur tous
+ * ses lieux d'exercice. Utilisé par parsers.js et directory.js.
+ */
+
+import { COMMUNES } from './geo-data.js';
+import { normalizeText } from './text.js';
+
+// ─── Phones ───
+
+// Numéros nationaux d'outre-mer : indicatif pays propre (0590… → +590 590…)
+const OVERSEAS_PREFIXES = [
+  ['0590', '590'], ['0690', '590'], ['0691', '590'], // Guadeloupe, Saint-Martin, Saint-Barthélemy
+  ['0594', '594'], ['0694', '594'], // Guyane
+  ['0596', '596'], ['0696', '596'], ['0697', '596'], // Martinique
+  ['0262', '262'], ['0263', '262'], ['0692', '262'], ['0693', '262'], // La Réunion
+  ['0269', '262'], ['0639', '262'], // Mayotte
+];
+
+/**
+ * "01.42.00.01.11", "+33 (0)1 42 00 01 11", "0033142000111" → { value: '+33142000111',
+ * display: '01 42 00 01 11', valid: true } ; numéro illisible : valeur d'origine, valid: false
+ */
+export function normalizePhone(value) {
+  const raw = String(value ?? '').trim();
+  let digits = raw.replace(/\(0\)/g, '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+
+  let e164 = null;
+  if (/^0[1-9]\d{8}$/.test(digits)) {
+    const overseas = OVERSEAS_PREFIXES.find(([prefix]) => digits.startsWith(prefix));
+    e164 = `+${overseas ? overseas[1] : '33'}${digits.slice(1)}`;
+  } else if (/^\+[1-9]\d{6,14}$/.test(digits)) {
+    e164 = digits;
+  }
+
+  if (!e164) return { value: raw, display: raw, valid: false };
+  return { value: e164, display: displayPhone(e164), valid: true };
+}
+
+// Numéro national par paires (01 42 00 01 11) ; numéros étrangers en E.164
+function displayPhone(e164) {
+  let national = null;
+  if (/^\+33[1-9]\d{8}$/.test(e164)) {
+    national = `0${e164.slice(3)}`;
+  } else {
+    const overseas = OVERSEAS_PREFIXES.find(([prefix, code]) => e164.startsWith(`+${code}${prefix.slice(1)}`));
+    if (overseas && e164.length === overseas[1].length + 10) national = `0${e164.slice(overseas[1].length + 1)}`;
+  }
+  return national ? national.replace(/(\d{2})(?=\d)/g, '$1 ') : e164;
+}
+
+// ─── Emails ───
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/;
+
+export function normalizeEmail(value) {
+  const address = String(value ?? '').trim().replace(/^mailto:/i, '').toLowerCase();
+  return { value: address, display: address, valid: EMAIL_PATTERN.test(address) };
+}
+
+// ─── Telecoms ───
+
+// ContactPoint FHIR (system, value, use) → { system, value, display, valid, use }
+export function normalizeTelecom({ system, value, use }) {
+  const normalized = system === 'phone' || system === 'fax' ? normalizePhone(value)
+    : system === 'email' ? normalizeEmail(value)
+    : { value: String(value ?? '').trim(), display: String(value ?? '').trim(), valid: true };
+  return { system, ...normalized, use };
+}
+
+// Clé de comparaison "system:valeur" d'un ancien instantané (valeurs brutes) → forme normalisée
+export function normalizeTelecomKey(key) {
+  const separator = key.indexOf(':');
+  if (separator === -1) return key;
+  const system = key.slice(0, separator);
+  return `${system}:${normalizeTelecom({ system, value: key.slice(separator + 1) }).value}`;
+}
+
+// Même système et même valeur normalisée : la première occurrence est gardée
+export function dedupeTelecoms(telecoms) {
+  const seen = new Set();
+  return telecoms.filter(t => {
+    const key = `${t.system}:${t.value}`;
+    if (!t.value || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ─── Addresses ───
+
+/**
+ * Address FHIR → { lines, street, postalCode, city, cityCode, country } ; cityCode est le
+ * code commune INSEE (extension de l'adresse, sinon déduit du code postal et du nom de
+ * commune via geo-data.js), country le code ISO 3166 (FR par défaut)
+ */
+export function parseAddress(addr) {
+  if (!addr) return null;
+  const lines = (addr.line || []).map(cleanSpaces).filter(Boolean);
+  const postalCode = cleanSpaces(addr.postalCode).replace(/\s/g, '') || null;
+  const city = cleanSpaces(addr.city) || null;
+  return {
+    lines,
+    street: lines.join(', ') || null,
+    postalCode,
+    city,
+    cityCode: inseeExtension(addr) || communeCode(postalCode, city),
+    country: countryCode(addr.country),
+  };
+}
+
+// Extension portant le code INSEE, sur l'adresse ou sur son champ city (_city)
+function inseeExtension(addr) {
+  const extension = [...(addr.extension || []), ...(addr._city?.extension || [])]
+    .find(e => /insee|city-?code/i.test(e.url || ''));
+  const code = extension?.valueCoding?.code ?? extension?.valueCode ?? extension?.valueString ?? null;
+  return /^(\d{5}|2[AB]\d{3})$/i.test(code || '') ? code.toUpperCase() : null;
+}
+
+function communeCode(postalCode, city) {
+  if (!postalCode) return null;
+  const candidates = COMMUNES.filter(c => c.postalCodes.includes(postalCode));
+  const wanted = normalizeText(city);
+  const commune = candidates.find(c => normalizeText(c.name) === wanted)
+    || (candidates.length === 1 && !city ? candidates[0] : null);
+  return commune?.insee || null;
+}
+
+function countryCode(country) {
+  const value = cleanSpaces(country);
+  if (!value || /^(fr|fra|france)$/i.test(value)) return 'FR';
+  return /^[a-z]{2}$/i.test(value) ? value.toUpperCase() : value;
+}
+
+function cleanSpaces(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// ─── Practitioner ───
+
+/**
+ * Structures et coordonnées d'un praticien sur l'ensemble de ses lieux d'exercice :
+ * organizations (une fois chacune : même id, FINESS ou SIRET) et contacts
+ * (téléphones, fax, e-mails du praticien puis de ses rôles, sans doublon)
+ */
+export function dedupePractitionerContacts(practitioner, roles) {
+  const organizations = [];
+  const seen = new Set();
+  for (const org of roles.map(r => r.organization).filter(Boolean)) {
+    const keys = [`id:${org.id}`, org.finess && `finess:${org.finess}`, org.siret && `siret:${org.siret}`].filter(Boolean);
+    if (keys.some(key => seen.has(key))) continue;
+    keys.forEach(key => seen.add(key));
+    organizations.push(org);
+  }
+
+  const contacts = dedupeTelecoms([...(practitioner.telecoms || []), ...roles.flatMap(r => r.telecoms || [])]);
+  return { organizations, contacts };
+}
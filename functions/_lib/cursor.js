@@ -0,0 +1,103 @@
+/**
+ * Curseurs de pagination opaques et signés (HMAC-SHA256)
+ * Un curseur porte la stratégie de recherche, la position côté FHIR et les
+ * critères actifs : le client ne manipule jamais d'URL de la passerelle.
+ */
+
+import { API_BASE } from './fhir.js';
+import { HttpError } from './http.js';
+import { fixturesEnabled } from './fixtures.js';
+
+const CURSOR_VERSION = 1;
+const CURSOR_TTL_SECONDS = 2 * 3600; // Les liens "next" de la passerelle expirent aussi
+
+// ─── Signing ───
+
+function cursorSecret(env) {
+  // Secret dédié recommandé ; à défaut la clé API (déjà secrète) sert de clé HMAC
+  const secret = env.CURSOR_SECRET || env.ESANTE_API_KEY || (fixturesEnabled(env) ? 'fixtures' : null);
+  if (!secret) throw new HttpError(500, 'CURSOR_SECRET ou ESANTE_API_KEY requis pour signer les curseurs', 'config_error');
+  return secret;
+}
+
+async function hmacKey(env) {
+  return crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(cursorSecret(env)),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify'],
+  );
+}
+
+export async function signCursor(payload, env) {
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    v: CURSOR_VERSION,
+    exp: Math.floor(Date.now() / 1000) + CURSOR_TTL_SECONDS,
+    ...payload,
+  })));
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(env), new TextEncoder().encode(body));
+  return `${body}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+export async function readCursor(token, env) {
+  const invalid = () => new HttpError(400, 'Curseur de pagination invalide', 'invalid_cursor');
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) throw invalid();
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify('HMAC', await hmacKey(env), base64UrlDecode(signature), new TextEncoder().encode(body));
+  } catch {
+    throw invalid();
+  }
+  if (!valid) throw invalid();
+
+  const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+  if (payload.v !== CURSOR_VERSION) throw invalid();
+  if (payload.exp < Date.now() / 1000) {
+    throw new HttpError(410, 'Curseur de pagination expiré, relancez la recherche', 'expired_cursor');
+  }
+  return payload;
+}
+
+// ─── Pager ───
+
+/**
+ * Lie un curseur éventuel aux critères de la requête.
+ * position(strategy) → position FHIR à reprendre (null en première page)
+ * next(strategy, position) → curseur signé pour la page suivante (null si terminé)
+ */
+export function createPager(criteria, cursor, env) {
+  return {
+    criteria,
+    position(strategy) {
+      if (!cursor) return null;
+      if (cursor.s !== strategy) throw new HttpError(400, 'Curseur de pagination invalide', 'invalid_cursor');
+      return cursor.p;
+    },
+    async next(strategy, position) {
+      if (!position) return null;
+      return signCursor({ s: strategy, q: criteria, p: position }, env);
+    },
+  };
+}
+
+// Revalide une URL FHIR tirée d'un curseur (défense en profondeur, même signé)
+export function fhirUrlFromCursor(url) {
+  if (typeof url !== 'string' || !url.startsWith(`${API_BASE}/`)) {
+    throw new HttpError(400, 'Curseur de pagination invalide', 'invalid_cursor');
+  }
+  return url;
+}
+
+// ─── Encoding ───
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
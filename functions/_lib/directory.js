@@ -0,0 +1,224 @@
+/**
+ * Jointures praticien ↔ PractitionerRole ↔ structure partagées par les Pages Functions
+ */
+
+import { API_BASE, RPPS_SYSTEM, ADELI_SYSTEM, fhirFetch } from './fhir.js';
+import { HttpError } from './http.js';
+import { parsePractitioner, parsePractitionerRole, parseOrganization, parseLocation } from './parsers.js';
+import { dedupePractitionerContacts } from './contacts.js';
+import { canAfford, truncate } from './trace.js';
+
+const ROLE_BATCH_SIZE = 50; // Larger batches = fewer subrequests
+const ORGANIZATION_ROLE_PAGE_SIZE = 200; // Rôles d'une structure lus par page (voir fetchOrganizationPractitioners)
+
+// Sous-requêtes nécessaires pour charger les rôles de `count` praticiens (voir fetchRolesForPractitioners)
+export function rolesCost(count) {
+  return Math.ceil(count / ROLE_BATCH_SIZE);
+}
+
+// Range les PractitionerRole d'un bundle par praticien et y rattache leur structure.
+// Les Practitioner inclus (_include=PractitionerRole:practitioner) sont parsés au passage.
+export function groupRolesByPractitioner(entries, orgs, acc = { rolesByPractitioner: {}, practitioners: {} }) {
+  for (const entry of entries || []) {
+    const r = entry.resource;
+    if (r.resourceType === 'PractitionerRole') {
+      const role = parsePractitionerRole(r);
+      if (role.organizationId && orgs[role.organizationId]) {
+        role.organization = orgs[role.organizationId];
+      }
+      const pid = role.practitionerId;
+      if (!pid) continue;
+      if (!acc.rolesByPractitioner[pid]) acc.rolesByPractitioner[pid] = [];
+      acc.rolesByPractitioner[pid].push(role);
+    } else if (r.resourceType === 'Practitioner') {
+      acc.practitioners[r.id] = parsePractitioner(r);
+    }
+  }
+  return acc;
+}
+
+// Rôles rattachés à une liste de structures, par lots de `batchSize` ids, tant que le budget le permet
+export async function fetchRolesForOrganizations(orgIds, orgs, env, { batchSize = 50 } = {}) {
+  const acc = { rolesByPractitioner: {}, practitioners: {} };
+
+  for (let i = 0; i < orgIds.length; i += batchSize) {
+    if (!canAfford(env)) {
+      truncate(env, 'subrequest_budget', `rôles de ${orgIds.length - i} structure(s) non chargés`);
+      break;
+    }
+    const batch = orgIds.slice(i, i + batchSize);
+    const roleParams = new URLSearchParams();
+    roleParams.set('organization', batch.join(','));
+    roleParams.set('_count', '200');
+
+    const roleBundle = await fhirFetch(`${API_BASE}/PractitionerRole?${roleParams}`, env);
+    checkRolePage(roleBundle, env);
+    groupRolesByPractitioner(roleBundle.entry, orgs, acc);
+  }
+
+  return acc.rolesByPractitioner;
+}
+
+/**
+ * Praticiens actifs d'une structure, regroupés avant d'être paginés : les rôles d'un même
+ * praticien peuvent être dispersés dans les pages de la passerelle. Toutes les pages de rôles
+ * sont lues (servies par le cache d'une page à l'autre), puis la page `offset`…`offset + count`
+ * est découpée dans la liste triée par nom.
+ */
+export async function fetchOrganizationPractitioners(organization, env, { count = 50, offset = 0 } = {}) {
+  const params = new URLSearchParams();
+  params.set('organization', organization.id);
+  params.set('active', 'true');
+  params.set('_include', 'PractitionerRole:practitioner');
+  params.set('_count', String(ORGANIZATION_ROLE_PAGE_SIZE));
+  let url = `${API_BASE}/PractitionerRole?${params}`;
+
+  const acc = { rolesByPractitioner: {}, practitioners: {} };
+  let totalFhir = 0;
+  while (url) {
+    const bundle = await fhirFetch(url, env);
+    totalFhir = bundle.total ?? totalFhir;
+    groupRolesByPractitioner(bundle.entry, { [organization.id]: organization }, acc);
+    url = bundle.link?.find(l => l.relation === 'next')?.url || null;
+    if (url && !canAfford(env)) {
+      truncate(env, 'subrequest_budget', `${totalFhir || '?'} rôles, pages suivantes non lues`);
+      break;
+    }
+  }
+
+  const practitioners = Object.entries(acc.rolesByPractitioner)
+    .map(([pid, roles]) => withRoles(acc.practitioners[pid] || { id: pid, lastName: '', firstName: '', rpps: null, identifiers: [], qualifications: [] }, roles))
+    .sort((a, b) => a.lastName.localeCompare(b.lastName, 'fr') || a.firstName.localeCompare(b.firstName, 'fr') || a.id.localeCompare(b.id));
+
+  return {
+    results: practitioners.slice(offset, offset + count),
+    totalPractitioners: practitioners.length,
+    totalFhir,
+    nextOffset: offset + count < practitioners.length ? offset + count : null,
+  };
+}
+
+// Fiche complète d'un praticien (/api/practitioner) : tous ses rôles, avec structures et lieux (Location)
+export async function fetchPractitionerDetail(id, env) {
+  const resource = await fhirFetch(`${API_BASE}/Practitioner/${encodeURIComponent(id)}`, env);
+  const practitioner = parsePractitioner(resource);
+
+  const params = new URLSearchParams();
+  params.set('practitioner', id);
+  params.append('_include', 'PractitionerRole:organization');
+  params.append('_include', 'PractitionerRole:location');
+  params.set('_count', '50');
+  let url = `${API_BASE}/PractitionerRole?${params}`;
+
+  const roles = [];
+  const orgs = {};
+  const locations = {};
+  while (url) {
+    const rolesBundle = await fhirFetch(url, env);
+    for (const entry of rolesBundle.entry || []) {
+      const r = entry.resource;
+      if (r.resourceType === 'PractitionerRole') roles.push(parsePractitionerRole(r));
+      else if (r.resourceType === 'Organization') orgs[r.id] = parseOrganization(r);
+      else if (r.resourceType === 'Location') locations[r.id] = parseLocation(r);
+    }
+    url = rolesBundle.link?.find(l => l.relation === 'next')?.url || null;
+    if (url && !canAfford(env)) {
+      truncate(env, 'subrequest_budget', `${rolesBundle.total ?? '?'} rôles, pages suivantes non lues`);
+      break;
+    }
+  }
+
+  for (const role of roles) {
+    role.locations = role.locations.map(l => locations[l.id] ? { ...l, ...locations[l.id], name: locations[l.id].name || l.name } : l);
+  }
+  const [detail] = mergePractitionersAndRoles([practitioner], roles, orgs);
+  // Boîtes MSSanté du praticien et de ses lieux d'exercice, sans doublon
+  const mailboxes = new Map([...practitioner.mssMailboxes, ...roles.flatMap(r => r.mssMailboxes)].map(m => [m.address, m]));
+  return { ...detail, mssMailboxes: [...mailboxes.values()] };
+}
+
+// Identifiant FHIR d'un praticien à partir de son RPPS (11 chiffres) ou ADELI (9 chiffres)
+const IDENTIFIER_TYPES = {
+  rpps: { system: RPPS_SYSTEM, pattern: /^\d{11}$/, label: 'RPPS' },
+  adeli: { system: ADELI_SYSTEM, pattern: /^\d{9}$/, label: 'ADELI' },
+};
+
+export async function findPractitionerId(type, value, env) {
+  const { system, pattern, label } = IDENTIFIER_TYPES[type];
+  const number = String(value || '').replace(/\s/g, '');
+  if (!pattern.test(number)) throw new HttpError(400, `Numéro ${label} invalide : ${value}`, 'bad_request');
+
+  const params = new URLSearchParams();
+  params.set('identifier', `${system}|${number}`);
+  params.set('_elements', 'id,active');
+  params.set('_count', '10');
+  const bundle = await fhirFetch(`${API_BASE}/Practitioner?${params}`, env);
+
+  // Plusieurs fiches pour un même numéro : l'active d'abord
+  const matches = (bundle.entry || []).map(e => e.resource).filter(r => r?.resourceType === 'Practitioner');
+  const match = matches.find(r => r.active !== false) || matches[0];
+  if (!match) throw new HttpError(404, `Aucun praticien pour le ${label} ${number}`, 'not_found');
+  return match.id;
+}
+
+// Rôles (+ structures incluses) d'une liste de praticiens, tant que le budget le permet
+export async function fetchRolesForPractitioners(ids, env) {
+  const practitionerRoles = [];
+  const organizations = {};
+
+  for (let i = 0; i < ids.length; i += ROLE_BATCH_SIZE) {
+    if (!canAfford(env)) {
+      truncate(env, 'subrequest_budget', `rôles de ${ids.length - i} praticien(s) non chargés`);
+      break;
+    }
+    const batch = ids.slice(i, i + ROLE_BATCH_SIZE);
+    const params = new URLSearchParams();
+    params.set('practitioner', batch.join(','));
+    params.set('_count', '200');
+    params.set('_include', 'PractitionerRole:organization');
+
+    const bundle = await fhirFetch(`${API_BASE}/PractitionerRole?${params}`, env);
+    checkRolePage(bundle, env);
+
+    if (bundle.entry) {
+      for (const entry of bundle.entry) {
+        if (entry.resource.resourceType === 'PractitionerRole') {
+          practitionerRoles.push(parsePractitionerRole(entry.resource));
+        } else if (entry.resource.resourceType === 'Organization') {
+          organizations[entry.resource.id] = parseOrganization(entry.resource);
+        }
+      }
+    }
+  }
+
+  return { practitionerRoles, organizations };
+}
+
+// Une seule page de rôles est lue par lot : au-delà de _count, des rôles manquent
+export function checkRolePage(bundle, env) {
+  if (bundle.link?.some(l => l.relation === 'next')) {
+    truncate(env, 'roles_page_limit', `${bundle.total ?? '?'} rôles pour un lot, une page lue`);
+  }
+}
+
+// Rattache à chaque praticien ses rôles (et la structure de chaque rôle)
+export function mergePractitionersAndRoles(practitioners, roles, orgs) {
+  const rolesByPractitioner = {};
+  for (const role of roles) {
+    if (!role.practitionerId) continue;
+    if (role.organizationId && orgs[role.organizationId]) {
+      role.organization = orgs[role.organizationId];
+    }
+    if (!rolesByPractitioner[role.practitionerId]) {
+      rolesByPractitioner[role.practitionerId] = [];
+    }
+    rolesByPractitioner[role.practitionerId].push(role);
+  }
+
+  return practitioners.map(p => withRoles(p, rolesByPractitioner[p.id] || []));
+}
+
+// Praticien avec ses rôles, ses structures et ses coordonnées dédoublonnées (voir contacts.js)
+export function withRoles(practitioner, roles) {
+  return { ...practitioner, roles, ...dedupePractitionerContacts(practitioner, roles) };
+}
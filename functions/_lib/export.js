@@ -0,0 +1,311 @@
+/**
+ * Exports d'une liste de praticiens : JSON, vCard, XLSX (une ligne par lieu
+ * d'exercice) et Bundle FHIR R4 des ressources d'origine ; mêmes formats pour
+ * une liste de structures (kind=organization, une ligne / carte par structure)
+ * Utilisé par /api/export (sélection du frontend comme appels scriptés)
+ */
+
+import { API_BASE, fhirFetch } from './fhir.js';
+import { parsePractitioner, parsePractitionerRole, parseOrganization } from './parsers.js';
+import { mergePractitionersAndRoles, checkRolePage } from './directory.js';
+import { canAfford, truncate } from './trace.js';
+import { buildXlsx } from './xlsx.js';
+
+const BATCH_SIZE = 50;
+export const MAX_EXPORT = 500; // 10 lots × 2 sous-requêtes
+
+// ─── Loading ───
+
+/**
+ * Ressources FHIR brutes (pour le Bundle) et praticiens parsés (pour les autres formats)
+ * des ids demandés, dans l'ordre de la demande ; `skipped` : ids non chargés faute de budget
+ */
+export async function fetchExportData(ids, env) {
+  const practitioners = {};
+  const roles = {};
+  const organizations = {};
+  let loaded = 0;
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    if (!canAfford(env, 2)) {
+      truncate(env, 'subrequest_budget', `${ids.length - i} praticien(s) non exportés`);
+      break;
+    }
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    loaded = i + batch.length;
+
+    const practParams = new URLSearchParams();
+    practParams.set('_id', batch.join(','));
+    practParams.set('_count', String(batch.length));
+    const practBundle = await fhirFetch(`${API_BASE}/Practitioner?${practParams}`, env);
+    for (const entry of practBundle.entry || []) {
+      if (entry.resource?.resourceType === 'Practitioner') practitioners[entry.resource.id] = entry.resource;
+    }
+
+    // Même URL que fetchRolesForPractitioners : servie par le cache après une recherche
+    const roleParams = new URLSearchParams();
+    roleParams.set('practitioner', batch.join(','));
+    roleParams.set('_count', '200');
+    roleParams.set('_include', 'PractitionerRole:organization');
+    const roleBundle = await fhirFetch(`${API_BASE}/PractitionerRole?${roleParams}`, env);
+    checkRolePage(roleBundle, env);
+    for (const entry of roleBundle.entry || []) {
+      const r = entry.resource;
+      if (r?.resourceType === 'PractitionerRole') roles[r.id] = r;
+      else if (r?.resourceType === 'Organization') organizations[r.id] = r;
+    }
+  }
+
+  const requested = ids.slice(0, loaded);
+  const found = requested.filter(id => practitioners[id]);
+  const parsedOrgs = Object.fromEntries(Object.values(organizations).map(o => [o.id, parseOrganization(o)]));
+  const results = mergePractitionersAndRoles(
+    found.map(id => parsePractitioner(practitioners[id])),
+    Object.values(roles).map(parsePractitionerRole),
+    parsedOrgs,
+  );
+
+  return {
+    kind: 'practitioner',
+    results,
+    notFound: requested.filter(id => !practitioners[id]),
+    skipped: ids.slice(loaded),
+    resources: {
+      practitioners: found.map(id => practitioners[id]),
+      roles: Object.values(roles),
+      organizations: Object.values(organizations),
+    },
+  };
+}
+
+// Structures des ids demandés (1 sous-requête par lot), même forme que fetchExportData
+export async function fetchOrganizationExportData(ids, env) {
+  const organizations = {};
+  let loaded = 0;
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    if (!canAfford(env)) {
+      truncate(env, 'subrequest_budget', `${ids.length - i} structure(s) non exportées`);
+      break;
+    }
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    loaded = i + batch.length;
+
+    const params = new URLSearchParams();
+    params.set('_id', batch.join(','));
+    params.set('_count', String(batch.length));
+    const bundle = await fhirFetch(`${API_BASE}/Organization?${params}`, env);
+    for (const entry of bundle.entry || []) {
+      if (entry.resource?.resourceType === 'Organization') organizations[entry.resource.id] = entry.resource;
+    }
+  }
+
+  const requested = ids.slice(0, loaded);
+  const found = requested.filter(id => organizations[id]);
+  return {
+    kind: 'organization',
+    results: found.map(id => parseOrganization(organizations[id])),
+    notFound: requested.filter(id => !organizations[id]),
+    skipped: ids.slice(loaded),
+    resources: { practitioners: [], roles: [], organizations: found.map(id => organizations[id]) },
+  };
+}
+
+// ─── Formats ───
+
+export const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    render: data => JSON.stringify({ exportedAt: new Date().toISOString(), total: data.results.length, results: data.results }, null, 2),
+  },
+  vcf: {
+    contentType: 'text/vcard; charset=utf-8',
+    extension: 'vcf',
+    render: data => data.results.map(data.kind === 'organization' ? organizationVCard : toVCard).join(''),
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    render: data => buildXlsx(data.kind === 'organization'
+      ? [ORGANIZATION_HEADERS, ...data.results.map(organizationRow)]
+      : [XLSX_HEADERS, ...data.results.flatMap(toRows)], { sheetName: 'Annuaire Santé' }),
+  },
+  fhir: {
+    contentType: 'application/fhir+json; charset=utf-8',
+    extension: 'fhir.json',
+    render: data => JSON.stringify(toBundle(data.resources), null, 2),
+  },
+};
+
+// ─── XLSX ───
+
+const XLSX_HEADERS = [
+  'Nom', 'Prénom', 'Civilité', 'RPPS', 'ADELI', 'Spécialités', 'Structure', 'FINESS', 'SIRET',
+  'Adresse', 'Code postal', 'Ville', 'Code commune (INSEE)', 'Téléphone', 'Fax', 'Email', 'MSSanté',
+];
+
+// Une ligne par lieu d'exercice ; un praticien sans rôle garde une ligne
+function toRows(p) {
+  const identity = [
+    p.lastName, p.firstName, p.prefix,
+    p.rpps || '', p.identifiers?.find(i => i.type === 'ADELI')?.value || '',
+  ];
+  const qualifications = p.qualifications?.map(q => q.display).filter(Boolean) || [];
+  if (!p.roles?.length) return [[...identity, unique(qualifications).join(', ')]];
+
+  return p.roles.map(role => {
+    const org = role.organization || {};
+    // Coordonnées normalisées par parsers.js : même numéro sous deux écritures = une seule valeur
+    const telecoms = [...(role.telecoms || []), ...(org.telecoms || [])];
+    const displayed = system => unique(telecoms.filter(t => t.system === system).map(t => t.display || t.value)).join(', ');
+    return [
+      ...identity,
+      unique(role.specialties?.length ? role.specialties : qualifications).join(', '),
+      org.name || '', org.finess || '', org.siret || '',
+      org.street || '', org.postalCode || '', org.city || '', org.postalAddress?.cityCode || '',
+      displayed('phone'),
+      displayed('fax'),
+      displayed('email'),
+      unique(mssAddresses(p, role)).join(', '),
+    ];
+  });
+}
+
+const ORGANIZATION_HEADERS = [
+  'Structure', 'Type', 'FINESS', 'SIRET', 'Adresse', 'Code postal', 'Ville', 'Code commune (INSEE)',
+  'Téléphone', 'Fax', 'Email', 'Active',
+];
+
+function organizationRow(org) {
+  const displayed = system => unique((org.telecoms || []).filter(t => t.system === system).map(t => t.display || t.value)).join(', ');
+  return [
+    org.name, org.type, org.finess || '', org.siret || '',
+    org.street || '', org.postalCode || '', org.city || '', org.postalAddress?.cityCode || '',
+    displayed('phone'), displayed('fax'), displayed('email'),
+    org.active ? 'oui' : 'non',
+  ];
+}
+
+// ─── vCard 3.0 (Outlook, iOS, Android) ───
+
+function toVCard(p) {
+  // Coordonnées dédoublonnées du praticien et de ses rôles ; numéros en E.164, e-mails invalides écartés
+  const telecoms = (p.contacts || []).filter(t => t.valid !== false);
+  const specialties = unique([
+    ...(p.roles?.flatMap(r => r.specialties || []) || []),
+    ...(p.qualifications?.map(q => q.display) || []),
+  ]);
+  const fullName = [p.prefix, p.firstName, p.lastName].filter(Boolean).join(' ');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${[p.lastName, p.firstName, '', p.prefix, ''].map(escapeVCard).join(';')}`,
+    `FN:${escapeVCard(fullName || p.rpps || p.id)}`,
+  ];
+  if (p.organizations?.[0]?.name) lines.push(`ORG:${escapeVCard(p.organizations[0].name)}`);
+  if (specialties.length) lines.push(`TITLE:${escapeVCard(specialties.join(', '))}`);
+  for (const phone of unique(telecoms.filter(t => t.system === 'phone').map(t => t.value))) {
+    lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(phone)}`);
+  }
+  for (const fax of unique(telecoms.filter(t => t.system === 'fax').map(t => t.value))) {
+    lines.push(`TEL;TYPE=WORK,FAX:${escapeVCard(fax)}`);
+  }
+  for (const email of unique(telecoms.filter(t => t.system === 'email').map(t => t.value))) {
+    lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeVCard(email)}`);
+  }
+  for (const mss of unique([...(p.mssMailboxes || []), ...(p.roles || []).flatMap(r => r.mssMailboxes || [])].map(m => m.address))) {
+    lines.push(`EMAIL;TYPE=INTERNET,WORK,X-MSSANTE:${escapeVCard(mss)}`);
+  }
+  for (const org of p.organizations || []) {
+    if (!org.street && !org.city) continue;
+    const country = org.postalAddress?.country;
+    lines.push(`ADR;TYPE=WORK:${['', '', org.street, org.city, '', org.postalCode, !country || country === 'FR' ? 'France' : country].map(escapeVCard).join(';')}`);
+  }
+  if (p.rpps) lines.push(`NOTE:${escapeVCard(`RPPS ${p.rpps}`)}`);
+  lines.push(`UID:${escapeVCard(`urn:annuaire-sante:practitioner:${p.id}`)}`, 'END:VCARD');
+
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+// Carte d'une structure : FN et ORG au nom de la structure
+function organizationVCard(org) {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeVCard(org.name)};;;;`,
+    `FN:${escapeVCard(org.name || org.finess || org.id)}`,
+    `ORG:${escapeVCard(org.name)}`,
+  ];
+  if (org.type) lines.push(`TITLE:${escapeVCard(org.type)}`);
+  for (const t of (org.telecoms || []).filter(t => t.valid !== false)) {
+    if (t.system === 'phone') lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(t.value)}`);
+    else if (t.system === 'fax') lines.push(`TEL;TYPE=WORK,FAX:${escapeVCard(t.value)}`);
+    else if (t.system === 'email') lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeVCard(t.value)}`);
+  }
+  if (org.street || org.city) {
+    const country = org.postalAddress?.country;
+    lines.push(`ADR;TYPE=WORK:${['', '', org.street, org.city, '', org.postalCode, !country || country === 'FR' ? 'France' : country].map(escapeVCard).join(';')}`);
+  }
+  const identifiers = [org.finess && `FINESS ${org.finess}`, org.siret && `SIRET ${org.siret}`].filter(Boolean);
+  if (identifiers.length) lines.push(`NOTE:${escapeVCard(identifiers.join(' — '))}`);
+  lines.push(`UID:${escapeVCard(`urn:annuaire-sante:organization:${org.id}`)}`, 'END:VCARD');
+
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+// Boîtes MSSanté du lieu d'exercice, puis personnelles (portées par le Practitioner)
+function mssAddresses(p, role) {
+  return [...(role.mssMailboxes || []), ...(p.mssMailboxes || [])].map(m => m.address);
+}
+
+function escapeVCard(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+// Lignes de 75 octets max (RFC 2425), sans couper un caractère UTF-8
+function foldVCardLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    const limit = parts.length ? 74 : 75; // l'espace de continuation compte
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// ─── FHIR R4 Bundle ───
+
+function toBundle({ practitioners, roles, organizations }) {
+  const resources = [...practitioners, ...roles, ...organizations];
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(), // pas de total : réservé aux bundles searchset / history
+    entry: resources.map(resource => ({
+      fullUrl: `${API_BASE}/${resource.resourceType}/${resource.id}`,
+      resource,
+    })),
+  };
+}
+
+// ─── Helpers ───
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
@@ -0,0 +1,87 @@
+/**
+ * Facettes des résultats de /api/search : spécialité, profession, code postal / ville,
+ * type de structure, activité et coordonnées disponibles. Chaque praticien porte ses
+ * valeurs (`facets`, codes seuls) et la réponse leurs libellés et effectifs, ce qui
+ * permet au frontend de filtrer et recompter sans réinterroger la passerelle.
+ */
+
+import { findSpecialty } from './specialties.js';
+import { isRoleCurrent } from './parsers.js';
+
+export const FACETS = ['specialty', 'profession', 'city', 'organizationType', 'active', 'contact'];
+
+const FIXED_LABELS = {
+  active: { active: 'En activité', inactive: 'Sans activité en cours' },
+  contact: { phone: 'Téléphone', email: 'E-mail' },
+};
+
+// ─── Per practitioner ───
+
+/**
+ * Praticien fusionné (roles, contacts…) → { facette: [{ value, label }] }, une valeur
+ * au plus une fois par facette
+ */
+function facetEntries(r) {
+  const roles = r.roles || [];
+  const entries = Object.fromEntries(FACETS.map(facet => [facet, new Map()]));
+  const add = (facet, value, label) => {
+    if (value && !entries[facet].has(value)) entries[facet].set(value, label || value);
+  };
+
+  // Qualifications et spécialités des rôles (libellés), rangées selon le référentiel
+  for (const q of r.qualifications || []) {
+    const entry = findSpecialty(q.code);
+    if (entry) add(entry.kind, entry.code, entry.label);
+  }
+  for (const label of roles.flatMap(role => role.specialties || [])) {
+    const entry = findSpecialty(label);
+    if (entry?.kind === 'specialty') add('specialty', entry.code, entry.label);
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  for (const role of roles) {
+    if (role.profession?.code) add('profession', role.profession.code, findSpecialty(role.profession.code)?.label || role.profession.display);
+    const org = role.organization;
+    if (org?.postalCode) add('city', org.postalCode, [org.postalCode, org.city].filter(Boolean).join(' '));
+    if (org?.type) add('organizationType', org.type);
+  }
+
+  const active = r.active !== false && roles.some(role => isRoleCurrent(role, today)) ? 'active' : 'inactive';
+  add('active', active, FIXED_LABELS.active[active]);
+
+  const contacts = (r.contacts || r.telecoms || []).filter(t => t.valid !== false);
+  if (contacts.some(t => t.system === 'phone')) add('contact', 'phone', FIXED_LABELS.contact.phone);
+  if (contacts.some(t => t.system === 'email') || r.mssMailboxes?.length) add('contact', 'email', FIXED_LABELS.contact.email);
+
+  return entries;
+}
+
+// Résultat annoté de ses valeurs de facettes : { ...r, facets: { specialty: ['SM04'], … } }
+export function withFacets(r) {
+  const entries = facetEntries(r);
+  return { ...r, facets: Object.fromEntries(FACETS.map(facet => [facet, [...entries[facet].keys()]])) };
+}
+
+// ─── Counts ───
+
+/**
+ * Effectifs sur l'ensemble des résultats : { facette: [{ value, label, count }] },
+ * du plus fréquent au moins fréquent puis par libellé
+ */
+export function computeFacets(results) {
+  const counts = Object.fromEntries(FACETS.map(facet => [facet, new Map()]));
+  for (const r of results) {
+    const entries = facetEntries(r);
+    for (const facet of FACETS) {
+      for (const [value, label] of entries[facet]) {
+        const current = counts[facet].get(value) || { value, label, count: 0 };
+        current.count++;
+        counts[facet].set(value, current);
+      }
+    }
+  }
+  return Object.fromEntries(FACETS.map(facet => [
+    facet,
+    [...counts[facet].values()].sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label), 'fr')),
+  ]));
+}
@@ -0,0 +1,173 @@
+/**
+ * Client FHIR partagé — gateway.api.esante.gouv.fr
+ * Timeout par requête, retries avec backoff sur 429/5xx (Retry-After respecté)
+ * et erreurs typées exposées aux clients via errorResponse()
+ */
+
+import { traceCall } from './trace.js';
+import { fixturesEnabled, fixtureResponse } from './fixtures.js';
+
+export const API_BASE = 'https://gateway.api.esante.gouv.fr/fhir/v2';
+export const RPPS_SYSTEM = 'https://rpps.esante.gouv.fr';
+export const ADELI_SYSTEM = 'https://adeli.esante.gouv.fr';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 300;
+const MAX_RETRY_DELAY_MS = 3000; // Au-delà, on rend la main au client plutôt que d'attendre
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Paramètres dont la valeur est une liste non ordonnée (ids séparés par des virgules)
+const LIST_PARAMS = new Set(['_id', 'practitioner', 'organization', 'identifier']);
+
+// ─── Error taxonomy ───
+// code → statut HTTP renvoyé au client + message par défaut
+const ERROR_TYPES = {
+  bad_api_key: { status: 502, message: 'Clé API Annuaire Santé refusée par la passerelle' },
+  rate_limited: { status: 429, message: 'Trop de requêtes vers l\'Annuaire Santé, réessayez dans quelques instants' },
+  upstream_unavailable: { status: 503, message: 'Annuaire Santé momentanément indisponible' },
+  upstream_timeout: { status: 504, message: 'L\'Annuaire Santé n\'a pas répondu à temps' },
+  not_found: { status: 404, message: 'Ressource introuvable dans l\'Annuaire Santé' },
+  bad_request: { status: 400, message: 'Requête refusée par l\'Annuaire Santé' },
+  upstream_error: { status: 502, message: 'Réponse inattendue de l\'Annuaire Santé' },
+  config_error: { status: 500, message: 'ESANTE_API_KEY non configurée' },
+  budget_exhausted: { status: 503, message: 'Recherche trop coûteuse pour une seule requête, affinez les critères' },
+};
+
+export class FhirError extends Error {
+  constructor(code, { message, upstreamStatus = null, retryAfter = null, detail = null } = {}) {
+    const type = ERROR_TYPES[code] || ERROR_TYPES.upstream_error;
+    super(message || type.message);
+    this.name = 'FhirError';
+    this.code = code;
+    this.status = type.status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter; // secondes
+    this.detail = detail;
+  }
+}
+
+function errorFromResponse(res, body) {
+  const detail = body ? body.substring(0, 200) : null;
+  const upstreamStatus = res.status;
+  if (res.status === 401 || res.status === 403) return new FhirError('bad_api_key', { upstreamStatus, detail });
+  if (res.status === 404 || res.status === 410) return new FhirError('not_found', { upstreamStatus, detail });
+  if (res.status === 429) return new FhirError('rate_limited', { upstreamStatus, detail, retryAfter: parseRetryAfter(res.headers.get('Retry-After')) });
+  if (res.status === 504) return new FhirError('upstream_timeout', { upstreamStatus, detail });
+  if (res.status >= 500) return new FhirError('upstream_unavailable', { upstreamStatus, detail });
+  if (res.status === 400 || res.status === 422) return new FhirError('bad_request', { upstreamStatus, detail });
+  return new FhirError('upstream_error', { upstreamStatus, detail });
+}
+
+// ─── Fetch ───
+
+export async function fhirFetch(url, env, options = {}) {
+  // Déjà vérifié par le middleware /api ; garde-fou pour le Worker planifié (worker/)
+  if (!env.ESANTE_API_KEY && !fixturesEnabled(env)) throw new FhirError('config_error');
+
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+
+  // Session de cache posée par withCache() (voir cache.js)
+  const cached = await env.cache?.get(url);
+  if (cached) return cached;
+
+  let previous = null;
+  for (let attempt = 0; ; attempt++) {
+    // Budget de sous-requêtes (voir trace.js) : une nouvelle tentative rend la dernière erreur
+    if (env.trace && !env.trace.take()) throw previous || new FhirError('budget_exhausted');
+
+    let error;
+    try {
+      const res = await traceCall(env, 'fhir', url, attempt, () => fetchWithTimeout(url, env, timeout));
+      if (res.ok) {
+        const data = await parseJson(res);
+        await env.cache?.put(url, data);
+        return data;
+      }
+      error = errorFromResponse(res, await res.text());
+      if (!RETRYABLE_STATUSES.has(res.status)) throw error;
+    } catch (err) {
+      if (err instanceof FhirError) throw err;
+      error = networkError(err); // timeout ou erreur réseau : on retente
+    }
+
+    if (attempt >= retries) throw error;
+    previous = error;
+
+    const delay = retryDelay(attempt, error.retryAfter);
+    if (delay > MAX_RETRY_DELAY_MS) throw error;
+    await sleep(delay);
+  }
+}
+
+async function parseJson(res) {
+  try {
+    return await res.json();
+  } catch (err) {
+    throw new FhirError('upstream_error', { upstreamStatus: res.status, detail: err.message });
+  }
+}
+
+async function fetchWithTimeout(url, env, timeout) {
+  // Mode démo : réponse enregistrée, retries et taxonomie d'erreurs inchangés (voir fixtures.js)
+  if (fixturesEnabled(env)) {
+    const key = normalizeFhirUrl(url).slice(API_BASE.length + 1);
+    const res = fixtureResponse(key);
+    if (!res) throw new FhirError('upstream_error', { message: `Aucune réponse enregistrée pour ${key}`, detail: key });
+    return res;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, {
+      headers: {
+        'Accept': 'application/fhir+json',
+        'ESANTE-API-KEY': env.ESANTE_API_KEY,
+      },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function networkError(err) {
+  if (err?.name === 'AbortError') return new FhirError('upstream_timeout', { detail: err.message });
+  return new FhirError('upstream_unavailable', { detail: err?.message || String(err) });
+}
+
+// ─── URLs ───
+
+// Paramètres triés : même clé de cache (cache.js) ou de fixture (fixtures.js) quel que soit l'ordre
+export function normalizeFhirUrl(fhirUrl) {
+  const url = new URL(fhirUrl);
+  const entries = [...url.searchParams.entries()].map(([k, v]) =>
+    [k, LIST_PARAMS.has(k) ? v.split(',').sort().join(',') : v]
+  );
+  entries.sort(([ka, va], [kb, vb]) => ka.localeCompare(kb) || va.localeCompare(vb));
+  url.search = new URLSearchParams(entries).toString();
+  return url.toString();
+}
+
+// ─── Backoff ───
+
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter != null) return retryAfter * 1000;
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return exp + Math.floor(Math.random() * BACKOFF_BASE_MS); // jitter
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
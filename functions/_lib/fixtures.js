@@ -0,0 +1,31 @@
+/**
+ * Mode démo hors ligne (FHIR_FIXTURES=1) : fhirFetch lit des réponses de la passerelle
+ * enregistrées au lieu de l'appeler — liens de pagination et erreurs (429, 404, 5xx…) compris.
+ * Ni clé ESANTE-API-KEY ni réseau : geo.api.gouv.fr est remplacé par le jeu embarqué
+ * (comme GEO_OFFLINE=1).
+ *
+ * Réponses indexées par URL FHIR normalisée, relative à API_BASE
+ * ("Practitioner?_count=200&family=DUPONT") :
+ * - fixtures/demo.js     : annuaire fictif de la démo et des tests (test/)
+ * - fixtures/recorded.js : captures de la vraie passerelle (scripts/record-fixtures.mjs), prioritaires
+ */
+
+import demo from './fixtures/demo.js';
+import recorded from './fixtures/recorded.js';
+
+const FIXTURES = { ...demo, ...recorded };
+
+export function fixturesEnabled(env) {
+  return env.FHIR_FIXTURES === '1' || env.FHIR_FIXTURES === true;
+}
+
+// Réponse enregistrée { status, headers, body } rejouée telle quelle ; null si absente
+export function fixtureResponse(key) {
+  const fixture = FIXTURES[key];
+  if (!fixture) return null;
+  const body = typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+  return new Response(body, {
+    status: fixture.status,
+    headers: { 'Content-Type': 'application/fhir+json', ...fixture.headers },
+  });
+}
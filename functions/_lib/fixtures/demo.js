@@ -0,0 +1,7497 @@
+/**
+ * Annuaire fictif du mode démo et des tests (test/) — maintenu à la main, voir ../fixtures.js
+ * Praticiens demo-pr-*, structures demo-org-*, RPPS 101000000xx : aucune donnée réelle.
+ *
+ * Une entrée par appel à la passerelle que font la démo et les tests, sous l'URL FHIR
+ * normalisée relative à API_BASE (paramètres triés, voir normalizeFhirUrl dans fhir.js) :
+ *   "Practitioner?_count=200&family=Dupont": { status, headers?, body }
+ * Pages suivantes (_getpagesoffset) et réponses d'erreur comprises. Nouvelles entrées
+ * ajoutées en fin de fichier ; les captures de la vraie passerelle vont dans recorded.js.
+ */
+export default {
+  "Organization/demo-org-001": {
+    "status": 200,
+    "body": {
+      "resourceType": "Organization",
+      "id": "demo-org-001",
+      "active": true,
+      "identifier": [
+        {
+          "system": "https://sirene.fr",
+          "value": "90000000000011"
+        }
+      ],
+      "type": [
+        {
+          "coding": [
+            {
+              "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+              "code": "SA07",
+              "display": "Cabinet de groupe"
+            }
+          ]
+        }
+      ],
+      "name": "Cabinet médical de la Roquette",
+      "telecom": [
+        {
+          "system": "phone",
+          "value": "0143000011"
+        }
+      ],
+      "address": [
+        {
+          "line": [
+            "12 rue de la Roquette"
+          ],
+          "postalCode": "75011",
+          "city": "Paris",
+          "country": "FRANCE"
+        }
+      ]
+    }
+  },
+  "Organization/demo-org-999": {
+    "status": 404,
+    "body": {
+      "resourceType": "OperationOutcome",
+      "issue": [
+        {
+          "severity": "error",
+          "code": "not-found",
+          "diagnostics": "Organization/demo-org-999 introuvable"
+        }
+      ]
+    }
+  },
+  "Organization?_count=100&address-postalcode=69": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?address-postalcode=69&_count=100"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-004",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-004",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000044"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "500",
+                    "display": "Etablissement d'hébergement pour personnes âgées dépendantes"
+                  }
+                ]
+              }
+            ],
+            "name": "EHPAD Les Tilleuls",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000044"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "8 rue Tronchet"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=100&address-postalcode=69001%2C69002%2C69003%2C69004%2C69005%2C69006%2C69007%2C69008%2C69009": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?address-postalcode=69001%2C69002%2C69003%2C69004%2C69005%2C69006%2C69007%2C69008%2C69009&_count=100"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-004",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-004",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000044"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "500",
+                    "display": "Etablissement d'hébergement pour personnes âgées dépendantes"
+                  }
+                ]
+              }
+            ],
+            "name": "EHPAD Les Tilleuls",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000044"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "8 rue Tronchet"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=100&identifier=690000033": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?identifier=690000033&_count=100"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=100&name=Clinique": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?name=Clinique&_count=100"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=100&type=124": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?type=124&_count=100"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=2&_id=demo-org-002%2Cdemo-org-004": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?_id=demo-org-002%2Cdemo-org-004&_count=2"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-004",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-004",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000044"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "500",
+                    "display": "Etablissement d'hébergement pour personnes âgées dépendantes"
+                  }
+                ]
+              }
+            ],
+            "name": "EHPAD Les Tilleuls",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000044"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "8 rue Tronchet"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=200&_elements=id%2Cname%2Caddress%2Ctelecom&address-postalcode=69": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?address-postalcode=69&_count=200&_elements=id%2Cname%2Caddress%2Ctelecom"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-004",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-004",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000044"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "500",
+                    "display": "Etablissement d'hébergement pour personnes âgées dépendantes"
+                  }
+                ]
+              }
+            ],
+            "name": "EHPAD Les Tilleuls",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000044"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "8 rue Tronchet"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=200&_elements=id%2Cname%2Caddress%2Ctelecom&address-postalcode=69001%2C69002%2C69003%2C69004%2C69005%2C69006%2C69007%2C69008%2C69009": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?address-postalcode=69001%2C69002%2C69003%2C69004%2C69005%2C69006%2C69007%2C69008%2C69009&_count=200&_elements=id%2Cname%2Caddress%2Ctelecom"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-004",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-004",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000044"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "500",
+                    "display": "Etablissement d'hébergement pour personnes âgées dépendantes"
+                  }
+                ]
+              }
+            ],
+            "name": "EHPAD Les Tilleuls",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000044"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "8 rue Tronchet"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization?_count=200&_elements=id%2Cname%2Caddress%2Ctelecom&address-postalcode=75001%2C75002%2C75003%2C75004%2C75005%2C75006%2C75007%2C75008%2C75009%2C75010%2C75011%2C75012%2C75013%2C75014%2C75015%2C75016%2C75017%2C75018%2C75019%2C75020%2C75116": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization?address-postalcode=75001%2C75002%2C75003%2C75004%2C75005%2C75006%2C75007%2C75008%2C75009%2C75010%2C75011%2C75012%2C75013%2C75014%2C75015%2C75016%2C75017%2C75018%2C75019%2C75020%2C75116&_count=200&_elements=id%2Cname%2Caddress%2Ctelecom"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner/demo-pr-001": {
+    "status": 200,
+    "body": {
+      "resourceType": "Practitioner",
+      "id": "demo-pr-001",
+      "active": true,
+      "identifier": [
+        {
+          "use": "official",
+          "system": "https://rpps.esante.gouv.fr",
+          "value": "10100000011"
+        }
+      ],
+      "name": [
+        {
+          "family": "DUPONT",
+          "given": [
+            "Marie"
+          ],
+          "prefix": [
+            "Dr"
+          ]
+        }
+      ],
+      "qualification": [
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                "code": "10",
+                "display": "Médecin"
+              }
+            ]
+          }
+        },
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                "code": "SM04",
+                "display": "Cardiologie et Maladies vasculaires"
+              }
+            ]
+          },
+          "period": {
+            "start": "2012-09-01"
+          }
+        },
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                "code": "DE28",
+                "display": "Diplôme d'État de docteur en médecine"
+              }
+            ]
+          },
+          "issuer": {
+            "display": "Université Paris Cité"
+          },
+          "period": {
+            "start": "2008-06-30"
+          }
+        }
+      ],
+      "telecom": [
+        {
+          "system": "email",
+          "value": "marie.dupont@medecin.mssante.fr",
+          "extension": [
+            {
+              "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+              "extension": [
+                {
+                  "url": "type",
+                  "valueCode": "PER"
+                },
+                {
+                  "url": "description",
+                  "valueString": "BAL personnelle"
+                },
+                {
+                  "url": "service",
+                  "valueString": "Cardiologie"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  },
+  "Practitioner/demo-pr-002": {
+    "status": 200,
+    "body": {
+      "resourceType": "Practitioner",
+      "id": "demo-pr-002",
+      "active": true,
+      "identifier": [
+        {
+          "use": "official",
+          "system": "https://rpps.esante.gouv.fr",
+          "value": "10100000029"
+        }
+      ],
+      "name": [
+        {
+          "family": "DUPONT",
+          "given": [
+            "Jean",
+            "Michel"
+          ],
+          "prefix": [
+            "Dr"
+          ]
+        }
+      ],
+      "qualification": [
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                "code": "10",
+                "display": "Médecin"
+              }
+            ]
+          }
+        },
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                "code": "SM54",
+                "display": "Médecine générale"
+              }
+            ]
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner/demo-pr-006": {
+    "status": 200,
+    "body": {
+      "resourceType": "Practitioner",
+      "id": "demo-pr-006",
+      "active": true,
+      "identifier": [
+        {
+          "use": "official",
+          "system": "https://adeli.esante.gouv.fr",
+          "value": "691234567"
+        }
+      ],
+      "name": [
+        {
+          "family": "PETIT",
+          "given": [
+            "Nina"
+          ]
+        }
+      ],
+      "qualification": [
+        {
+          "code": {
+            "coding": [
+              {
+                "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                "code": "60",
+                "display": "Infirmier"
+              }
+            ]
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner/demo-pr-999": {
+    "status": 404,
+    "body": {
+      "resourceType": "OperationOutcome",
+      "issue": [
+        {
+          "severity": "error",
+          "code": "not-found",
+          "diagnostics": "Practitioner/demo-pr-999 introuvable"
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=10&_elements=id%2Cactive&identifier=https%3A%2F%2Fadeli.esante.gouv.fr%7C691234567": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Fadeli.esante.gouv.fr%7C691234567&_elements=id%2Cactive&_count=10"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-006",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-006",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://adeli.esante.gouv.fr",
+                "value": "691234567"
+              }
+            ],
+            "name": [
+              {
+                "family": "PETIT",
+                "given": [
+                  "Nina"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=10&_elements=id%2Cactive&identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011&_elements=id%2Cactive&_count=10"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=10&_elements=id%2Cactive&identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10199999999": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10199999999&_elements=id%2Cactive&_count=10"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=10&identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011&_count=10"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=2&_id=demo-pr-001%2Cdemo-pr-003": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?_id=demo-pr-001%2Cdemo-pr-003&_count=2"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-003",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-003",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000037"
+              }
+            ],
+            "name": [
+              {
+                "family": "MARTIN",
+                "given": [
+                  "Sophie"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&_id=demo-pr-001%2Cdemo-pr-002%2Cdemo-pr-003%2Cdemo-pr-005%2Cdemo-pr-007": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 5,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?_id=demo-pr-001%2Cdemo-pr-002%2Cdemo-pr-003%2Cdemo-pr-005%2Cdemo-pr-007&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-003",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-003",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000037"
+              }
+            ],
+            "name": [
+              {
+                "family": "MARTIN",
+                "given": [
+                  "Sophie"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-005",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-005",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000052"
+              }
+            ],
+            "name": [
+              {
+                "family": "BERNARD",
+                "given": [
+                  "Claire"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "70",
+                      "display": "Masseur-kinésithérapeute"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-007",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-007",
+            "active": false,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000060"
+              }
+            ],
+            "name": [
+              {
+                "family": "MOREAU",
+                "given": [
+                  "Louis"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM18",
+                      "display": "Gériatrie"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&_id=demo-pr-002%2Cdemo-pr-004%2Cdemo-pr-006": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 3,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?_id=demo-pr-002%2Cdemo-pr-004%2Cdemo-pr-006&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-004",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-004",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000045"
+              }
+            ],
+            "name": [
+              {
+                "family": "LEFEBVRE",
+                "given": [
+                  "Paul"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-006",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-006",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://adeli.esante.gouv.fr",
+                "value": "691234567"
+              }
+            ],
+            "name": [
+              {
+                "family": "PETIT",
+                "given": [
+                  "Nina"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&_id=demo-pr-002%2Cdemo-pr-004%2Cdemo-pr-006&qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM04": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?_id=demo-pr-002%2Cdemo-pr-004%2Cdemo-pr-006&qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM04&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-004",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-004",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000045"
+              }
+            ],
+            "name": [
+              {
+                "family": "LEFEBVRE",
+                "given": [
+                  "Paul"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Clefausse": {
+    "status": 401,
+    "body": {
+      "resourceType": "OperationOutcome",
+      "issue": [
+        {
+          "severity": "error",
+          "code": "security",
+          "diagnostics": "Clé API invalide"
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Dupon": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupon&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Dupont": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Dupont&given=Marie": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&given=Marie&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Dupontt": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupontt&_count=200"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=200&family=Indisponible": {
+    "status": 503,
+    "body": {
+      "resourceType": "OperationOutcome",
+      "issue": [
+        {
+          "severity": "error",
+          "code": "transient",
+          "diagnostics": "Service momentanément indisponible"
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Lefebvre&qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM04": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM04&family=Lefebvre&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-004",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-004",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000045"
+              }
+            ],
+            "name": [
+              {
+                "family": "LEFEBVRE",
+                "given": [
+                  "Paul"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&family=Marie&given=Dupont": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Marie&given=Dupont&_count=200"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=200&family=Surcharge": {
+    "status": 429,
+    "headers": {
+      "Retry-After": "30"
+    },
+    "body": {
+      "resourceType": "OperationOutcome",
+      "issue": [
+        {
+          "severity": "error",
+          "code": "throttled",
+          "diagnostics": "Quota dépassé"
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=200&name=Dupontt": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?name=Dupontt&_count=200"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=200&qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM54": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?qualification-code=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_R38-SpecialiteOrdinale%2FFHIR%2FTRE-R38-SpecialiteOrdinale%7CSM54&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=4&_elements=id%2Cidentifier&identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10199999999": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10199999999&_elements=id%2Cidentifier&_count=4"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&name=dup": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?name=dup&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&name=marie": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?name=marie&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&name=zzz": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?name=zzz&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=6&identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10100000037%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10199999999": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?identifier=https%3A%2F%2Frpps.esante.gouv.fr%7C10100000011%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10100000037%2Chttps%3A%2F%2Frpps.esante.gouv.fr%7C10199999999&_count=6"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-003",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-003",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000037"
+              }
+            ],
+            "name": [
+              {
+                "family": "MARTIN",
+                "given": [
+                  "Sophie"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=1&_getpagesoffset=1&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Apractitioner&role=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_G15-ProfessionSante%2FFHIR%2FTRE-G15-ProfessionSante%7C60": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?_count=1&_include=PractitionerRole%3Apractitioner&_include=PractitionerRole%3Aorganization&role=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_G15-ProfessionSante%2FFHIR%2FTRE-G15-ProfessionSante%7C60&_getpagesoffset=1"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-007",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-007",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-006"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "B",
+                    "display": "Bénévole"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-006",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-006",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://adeli.esante.gouv.fr",
+                "value": "691234567"
+              }
+            ],
+            "name": [
+              {
+                "family": "PETIT",
+                "given": [
+                  "Nina"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=1&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Apractitioner&role=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_G15-ProfessionSante%2FFHIR%2FTRE-G15-ProfessionSante%7C60": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?_count=1&_include=PractitionerRole%3Apractitioner&_include=PractitionerRole%3Aorganization&role=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_G15-ProfessionSante%2FFHIR%2FTRE-G15-ProfessionSante%7C60"
+        },
+        {
+          "relation": "next",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?_count=1&_include=PractitionerRole%3Apractitioner&_include=PractitionerRole%3Aorganization&role=https%3A%2F%2Fmos.esante.gouv.fr%2FNOS%2FTRE_G15-ProfessionSante%2FFHIR%2FTRE-G15-ProfessionSante%7C60&_getpagesoffset=1"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-004",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-004",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-003"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000333",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-003",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-003",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000037"
+              }
+            ],
+            "name": [
+              {
+                "family": "MARTIN",
+                "given": [
+                  "Sophie"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "60",
+                      "display": "Infirmier"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Apractitioner&role=acupuncture": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?_count=200&_include=PractitionerRole%3Apractitioner&_include=PractitionerRole%3Aorganization&role=acupuncture"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-001": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-001&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-001%2Cdemo-pr-002": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 3,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-001%2Cdemo-pr-002&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-002",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-002",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-05",
+                    "display": "Médecin coordonnateur"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA05",
+                      "display": "Centre de santé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2018-01-15"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000222",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-003",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-003",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2010-03-01",
+              "end": "2019-12-31"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-001%2Cdemo-pr-003": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-001%2Cdemo-pr-003&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-004",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-004",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-003"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000333",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-002": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-002&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-002",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-002",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-05",
+                    "display": "Médecin coordonnateur"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA05",
+                      "display": "Centre de santé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2018-01-15"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000222",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-003",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-003",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2010-03-01",
+              "end": "2019-12-31"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-004": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-004&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-005",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-005",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-004"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA01",
+                      "display": "Établissement privé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000444",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "paul.lefebvre@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&organization=demo-org-001%2Cdemo-org-002": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 5,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?organization=demo-org-001%2Cdemo-org-002&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-002",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-002",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-05",
+                    "display": "Médecin coordonnateur"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA05",
+                      "display": "Centre de santé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2018-01-15"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000222",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-004",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-004",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-003"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000333",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-006",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-006",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-005"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "70",
+                    "display": "Masseur-kinésithérapeute"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-008",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-008",
+            "active": false,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-007"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "end": "2021-06-30"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM18",
+                    "display": "Gériatrie"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&organization=demo-org-003%2Cdemo-org-004": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 3,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?organization=demo-org-003%2Cdemo-org-004&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-003",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-003",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2010-03-01",
+              "end": "2019-12-31"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-005",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-005",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-004"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA01",
+                      "display": "Établissement privé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000444",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "paul.lefebvre@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-007",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-007",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-006"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "B",
+                    "display": "Bénévole"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=50&_include=PractitionerRole%3Alocation&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-001": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-001&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Alocation&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Location/demo-loc-001",
+          "resource": {
+            "resourceType": "Location",
+            "id": "demo-loc-001",
+            "status": "active",
+            "name": "Cabinet de cardiologie, 2e étage",
+            "address": {
+              "line": [
+                "12 rue de la Roquette"
+              ],
+              "postalCode": "75011",
+              "city": "Paris"
+            },
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000199"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=50&_include=PractitionerRole%3Alocation&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-002": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-002&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Alocation&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-002",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-002",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-05",
+                    "display": "Médecin coordonnateur"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA05",
+                      "display": "Centre de santé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2018-01-15"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000222",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-003",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-003",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2010-03-01",
+              "end": "2019-12-31"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=50&_include=PractitionerRole%3Alocation&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-006": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-006&_include=PractitionerRole%3Aorganization&_include=PractitionerRole%3Alocation&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-007",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-007",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-006"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "60",
+                    "display": "Infirmier"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "B",
+                    "display": "Bénévole"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&family=Dupont": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&family=Dupont&given=J": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&given=J&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&family=Dupont&given=Marie": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&given=Marie&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&family=Inconnu": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Inconnu&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=50&family=Inconnu&given=Zo%C3%A9": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Inconnu&given=Zo%C3%A9&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=50&family=Lefebre": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Lefebre&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=50&family=Lefebre&given=Paul": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Lefebre&given=Paul&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=50&family=Moreau&given=Louis": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Moreau&given=Louis&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-007",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-007",
+            "active": false,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000060"
+              }
+            ],
+            "name": [
+              {
+                "family": "MOREAU",
+                "given": [
+                  "Louis"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM18",
+                      "display": "Gériatrie"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=50&family=incon": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 0,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=incon&_count=50"
+        }
+      ],
+      "entry": []
+    }
+  },
+  "Practitioner?_count=50&family=lefeb": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 1,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=lefeb&_count=50"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-004",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-004",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000045"
+              }
+            ],
+            "name": [
+              {
+                "family": "LEFEBVRE",
+                "given": [
+                  "Paul"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Aorganization&practitioner=demo-pr-001%2Cdemo-pr-002%2Cdemo-pr-004%2Cdemo-pr-007": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 5,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?practitioner=demo-pr-001%2Cdemo-pr-002%2Cdemo-pr-004%2Cdemo-pr-007&_count=200&_include=PractitionerRole%3Aorganization"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-002",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-002",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-002"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-05",
+                    "display": "Médecin coordonnateur"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA05",
+                      "display": "Centre de santé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2018-01-15"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000222",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-003",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-003",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-002"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2010-03-01",
+              "end": "2019-12-31"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM54",
+                    "display": "Médecine générale"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-005",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-005",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-004"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-003"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA01",
+                      "display": "Établissement privé"
+                    }
+                  ]
+                }
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000444",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "paul.lefebvre@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-008",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-008",
+            "active": false,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-007"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "end": "2021-06-30"
+            },
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM18",
+                    "display": "Gériatrie"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-001",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-001",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://sirene.fr",
+                "value": "90000000000011"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "SA07",
+                    "display": "Cabinet de groupe"
+                  }
+                ]
+              }
+            ],
+            "name": "Cabinet médical de la Roquette",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000011"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "12 rue de la Roquette"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-002",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-002",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "750000022"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "124",
+                    "display": "Centre de Santé"
+                  }
+                ]
+              }
+            ],
+            "name": "Centre de santé Voltaire",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000022"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "40 boulevard Voltaire"
+                ],
+                "postalCode": "75011",
+                "city": "Paris",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Organization/demo-org-003",
+          "resource": {
+            "resourceType": "Organization",
+            "id": "demo-org-003",
+            "active": true,
+            "identifier": [
+              {
+                "system": "https://finess.esante.gouv.fr",
+                "value": "690000033"
+              }
+            ],
+            "type": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+                    "code": "365",
+                    "display": "Etablissement de Soins Pluridisciplinaire"
+                  }
+                ]
+              }
+            ],
+            "name": "Clinique du Parc",
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0478000033"
+              }
+            ],
+            "address": [
+              {
+                "line": [
+                  "155 boulevard de Stalingrad"
+                ],
+                "postalCode": "69006",
+                "city": "Lyon",
+                "country": "FRANCE"
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=1&_getpagesoffset=1&family=Dupont": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&_count=1&_getpagesoffset=1"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-002",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-002",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000029"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Jean",
+                  "Michel"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM54",
+                      "display": "Médecine générale"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Practitioner?_count=1&family=Dupont": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&_count=1"
+        },
+        {
+          "relation": "next",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner?family=Dupont&_count=1&_getpagesoffset=1"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        }
+      ]
+    }
+  },
+  "Organization/demo-org-005": {
+    "status": 200,
+    "body": {
+      "resourceType": "Organization",
+      "id": "demo-org-005",
+      "active": true,
+      "identifier": [
+        {
+          "system": "https://sirene.fr",
+          "value": "90000000000055"
+        }
+      ],
+      "type": [
+        {
+          "coding": [
+            {
+              "system": "https://mos.esante.gouv.fr/NOS/TRE_R66-CategorieEtablissement/FHIR/TRE-R66-CategorieEtablissement",
+              "code": "SA07",
+              "display": "Cabinet de groupe"
+            }
+          ]
+        }
+      ],
+      "name": "Maison de santé des Chartrons",
+      "telecom": [
+        {
+          "system": "phone",
+          "value": "0556000055"
+        }
+      ],
+      "address": [
+        {
+          "line": [
+            "3 rue Notre-Dame"
+          ],
+          "postalCode": "33000",
+          "city": "Bordeaux",
+          "country": "FRANCE"
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Apractitioner&active=true&organization=demo-org-001": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 2,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?organization=demo-org-001&active=true&_include=PractitionerRole%3Apractitioner&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-001",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-001",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-001"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "10",
+                    "display": "Médecin"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "extension": [
+              {
+                "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-practitionerrole-sector",
+                "valueCodeableConcept": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R02-SecteurActivite/FHIR/TRE-R02-SecteurActivite",
+                      "code": "SA07",
+                      "display": "Cabinet individuel"
+                    }
+                  ]
+                }
+              }
+            ],
+            "period": {
+              "start": "2012-09-01"
+            },
+            "location": [
+              {
+                "reference": "Location/demo-loc-001",
+                "display": "Cabinet de cardiologie, 2e étage"
+              }
+            ],
+            "specialty": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                    "code": "SM04",
+                    "display": "Cardiologie et Maladies vasculaires"
+                  }
+                ]
+              }
+            ],
+            "telecom": [
+              {
+                "system": "phone",
+                "value": "0143000111",
+                "use": "work"
+              },
+              {
+                "system": "email",
+                "value": "marie.dupont@demo.mssante.fr",
+                "use": "work"
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-006",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-006",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-005"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-001"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "70",
+                    "display": "Masseur-kinésithérapeute"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-001",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-001",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000011"
+              }
+            ],
+            "name": [
+              {
+                "family": "DUPONT",
+                "given": [
+                  "Marie"
+                ],
+                "prefix": [
+                  "Dr"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "10",
+                      "display": "Médecin"
+                    }
+                  ]
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale",
+                      "code": "SM04",
+                      "display": "Cardiologie et Maladies vasculaires"
+                    }
+                  ]
+                },
+                "period": {
+                  "start": "2012-09-01"
+                }
+              },
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_R48-DiplomeEtatFrancais/FHIR/TRE-R48-DiplomeEtatFrancais",
+                      "code": "DE28",
+                      "display": "Diplôme d'État de docteur en médecine"
+                    }
+                  ]
+                },
+                "issuer": {
+                  "display": "Université Paris Cité"
+                },
+                "period": {
+                  "start": "2008-06-30"
+                }
+              }
+            ],
+            "telecom": [
+              {
+                "system": "email",
+                "value": "marie.dupont@medecin.mssante.fr",
+                "extension": [
+                  {
+                    "url": "https://interop.esante.gouv.fr/ig/fhir/annuaire/StructureDefinition/as-ext-mailbox-mss-metadata",
+                    "extension": [
+                      {
+                        "url": "type",
+                        "valueCode": "PER"
+                      },
+                      {
+                        "url": "description",
+                        "valueString": "BAL personnelle"
+                      },
+                      {
+                        "url": "service",
+                        "valueString": "Cardiologie"
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-005",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-005",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000052"
+              }
+            ],
+            "name": [
+              {
+                "family": "BERNARD",
+                "given": [
+                  "Claire"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "70",
+                      "display": "Masseur-kinésithérapeute"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  },
+  "PractitionerRole?_count=200&_include=PractitionerRole%3Apractitioner&active=true&organization=demo-org-005": {
+    "status": 200,
+    "body": {
+      "resourceType": "Bundle",
+      "type": "searchset",
+      "total": 3,
+      "link": [
+        {
+          "relation": "self",
+          "url": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole?organization=demo-org-005&active=true&_include=PractitionerRole%3Apractitioner&_count=200"
+        }
+      ],
+      "entry": [
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-009",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-009",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-008"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-005"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "70",
+                    "display": "Masseur-kinésithérapeute"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2019-09-01"
+            }
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-010",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-010",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-009"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-005"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "70",
+                    "display": "Masseur-kinésithérapeute"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "L",
+                    "display": "Libéral"
+                  }
+                ]
+              }
+            ],
+            "period": {
+              "start": "2020-02-01"
+            }
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/PractitionerRole/demo-role-011",
+          "resource": {
+            "resourceType": "PractitionerRole",
+            "id": "demo-role-011",
+            "active": true,
+            "practitioner": {
+              "reference": "Practitioner/demo-pr-008"
+            },
+            "organization": {
+              "reference": "Organization/demo-org-005"
+            },
+            "code": [
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                    "code": "70",
+                    "display": "Masseur-kinésithérapeute"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice",
+                    "code": "S",
+                    "display": "Salarié"
+                  }
+                ]
+              },
+              {
+                "coding": [
+                  {
+                    "system": "https://mos.esante.gouv.fr/NOS/TRE_R21-Fonction/FHIR/TRE-R21-Fonction",
+                    "code": "FON-02",
+                    "display": "Coordinateur"
+                  }
+                ]
+              }
+            ]
+          },
+          "search": {
+            "mode": "match"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-008",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-008",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000078"
+              }
+            ],
+            "name": [
+              {
+                "family": "GARNIER",
+                "given": [
+                  "Lucas"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "70",
+                      "display": "Masseur-kinésithérapeute"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        },
+        {
+          "fullUrl": "https://gateway.api.esante.gouv.fr/fhir/v2/Practitioner/demo-pr-009",
+          "resource": {
+            "resourceType": "Practitioner",
+            "id": "demo-pr-009",
+            "active": true,
+            "identifier": [
+              {
+                "use": "official",
+                "system": "https://rpps.esante.gouv.fr",
+                "value": "10100000086"
+              }
+            ],
+            "name": [
+              {
+                "family": "ROUX",
+                "given": [
+                  "Emma"
+                ]
+              }
+            ],
+            "qualification": [
+              {
+                "code": {
+                  "coding": [
+                    {
+                      "system": "https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante",
+                      "code": "70",
+                      "display": "Masseur-kinésithérapeute"
+                    }
+                  ]
+                }
+              }
+            ]
+          },
+          "search": {
+            "mode": "include"
+          }
+        }
+      ]
+    }
+  }
+};
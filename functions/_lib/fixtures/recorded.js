@@ -0,0 +1,2 @@
+// Généré par scripts/record-fixtures.mjs — voir functions/_lib/fixtures.js
+export default {};
@@ -0,0 +1,105 @@
+/**
+ * Données géographiques embarquées
+ * - DEPARTMENTS : départements avec coordonnées de la préfecture (sélection des
+ *   départements candidats pour une recherche par rayon)
+ * - COMMUNES : extrait des principales communes, utilisé à la place de
+ *   geo.api.gouv.fr hors ligne (GEO_OFFLINE=1 ou API injoignable)
+ */
+
+// [code, nom, lat, lon] — coordonnées de la préfecture
+export const DEPARTMENTS = [
+  ['01', 'Ain', 46.205, 5.225], ['02', 'Aisne', 49.564, 3.620], ['03', 'Allier', 46.566, 3.333],
+  ['04', 'Alpes-de-Haute-Provence', 44.092, 6.236], ['05', 'Hautes-Alpes', 44.559, 6.079],
+  ['06', 'Alpes-Maritimes', 43.710, 7.262], ['07', 'Ardèche', 44.735, 4.599], ['08', 'Ardennes', 49.773, 4.720],
+  ['09', 'Ariège', 42.965, 1.607], ['10', 'Aube', 48.297, 4.074], ['11', 'Aude', 43.213, 2.351],
+  ['12', 'Aveyron', 44.351, 2.575], ['13', 'Bouches-du-Rhône', 43.296, 5.370], ['14', 'Calvados', 49.183, -0.371],
+  ['15', 'Cantal', 44.926, 2.440], ['16', 'Charente', 45.649, 0.156], ['17', 'Charente-Maritime', 46.160, -1.151],
+  ['18', 'Cher', 47.081, 2.399], ['19', 'Corrèze', 45.267, 1.772], ['2A', 'Corse-du-Sud', 41.919, 8.738],
+  ['2B', 'Haute-Corse', 42.697, 9.451], ['21', 'Côte-d\'Or', 47.322, 5.041], ['22', 'Côtes-d\'Armor', 48.514, -2.765],
+  ['23', 'Creuse', 46.171, 1.871], ['24', 'Dordogne', 45.184, 0.721], ['25', 'Doubs', 47.238, 6.024],
+  ['26', 'Drôme', 44.933, 4.892], ['27', 'Eure', 49.027, 1.151], ['28', 'Eure-et-Loir', 48.446, 1.489],
+  ['29', 'Finistère', 47.996, -4.102], ['30', 'Gard', 43.837, 4.360], ['31', 'Haute-Garonne', 43.605, 1.444],
+  ['32', 'Gers', 43.646, 0.586], ['33', 'Gironde', 44.838, -0.579], ['34', 'Hérault', 43.611, 3.877],
+  ['35', 'Ille-et-Vilaine', 48.117, -1.678], ['36', 'Indre', 46.811, 1.686], ['37', 'Indre-et-Loire', 47.394, 0.685],
+  ['38', 'Isère', 45.188, 5.724], ['39', 'Jura', 46.675, 5.555], ['40', 'Landes', 43.890, -0.500],
+  ['41', 'Loir-et-Cher', 47.586, 1.335], ['42', 'Loire', 45.440, 4.387], ['43', 'Haute-Loire', 45.043, 3.885],
+  ['44', 'Loire-Atlantique', 47.218, -1.554], ['45', 'Loiret', 47.903, 1.909], ['46', 'Lot', 44.448, 1.441],
+  ['47', 'Lot-et-Garonne', 44.203, 0.616], ['48', 'Lozère', 44.518, 3.500], ['49', 'Maine-et-Loire', 47.478, -0.563],
+  ['50', 'Manche', 49.116, -1.091], ['51', 'Marne', 48.957, 4.363], ['52', 'Haute-Marne', 48.111, 5.139],
+  ['53', 'Mayenne', 48.073, -0.770], ['54', 'Meurthe-et-Moselle', 48.692, 6.184], ['55', 'Meuse', 48.773, 5.160],
+  ['56', 'Morbihan', 47.658, -2.760], ['57', 'Moselle', 49.120, 6.176], ['58', 'Nièvre', 46.990, 3.159],
+  ['59', 'Nord', 50.629, 3.057], ['60', 'Oise', 49.430, 2.081], ['61', 'Orne', 48.432, 0.091],
+  ['62', 'Pas-de-Calais', 50.291, 2.777], ['63', 'Puy-de-Dôme', 45.778, 3.087], ['64', 'Pyrénées-Atlantiques', 43.295, -0.370],
+  ['65', 'Hautes-Pyrénées', 43.233, 0.078], ['66', 'Pyrénées-Orientales', 42.699, 2.895], ['67', 'Bas-Rhin', 48.573, 7.752],
+  ['68', 'Haut-Rhin', 48.079, 7.358], ['69', 'Rhône', 45.764, 4.836], ['70', 'Haute-Saône', 47.622, 6.155],
+  ['71', 'Saône-et-Loire', 46.307, 4.828], ['72', 'Sarthe', 48.006, 0.199], ['73', 'Savoie', 45.564, 5.918],
+  ['74', 'Haute-Savoie', 45.899, 6.129], ['75', 'Paris', 48.857, 2.352], ['76', 'Seine-Maritime', 49.443, 1.100],
+  ['77', 'Seine-et-Marne', 48.540, 2.660], ['78', 'Yvelines', 48.805, 2.130], ['79', 'Deux-Sèvres', 46.323, -0.459],
+  ['80', 'Somme', 49.894, 2.296], ['81', 'Tarn', 43.929, 2.148], ['82', 'Tarn-et-Garonne', 44.018, 1.355],
+  ['83', 'Var', 43.124, 5.928], ['84', 'Vaucluse', 43.949, 4.806], ['85', 'Vendée', 46.670, -1.426],
+  ['86', 'Vienne', 46.580, 0.340], ['87', 'Haute-Vienne', 45.834, 1.261], ['88', 'Vosges', 48.173, 6.450],
+  ['89', 'Yonne', 47.798, 3.567], ['90', 'Territoire de Belfort', 47.639, 6.863], ['91', 'Essonne', 48.629, 2.441],
+  ['92', 'Hauts-de-Seine', 48.892, 2.207], ['93', 'Seine-Saint-Denis', 48.908, 2.439], ['94', 'Val-de-Marne', 48.790, 2.455],
+  ['95', 'Val-d\'Oise', 49.036, 2.076], ['971', 'Guadeloupe', 15.998, -61.726], ['972', 'Martinique', 14.616, -61.059],
+  ['973', 'Guyane', 4.922, -52.313], ['974', 'La Réunion', -20.882, 55.450], ['976', 'Mayotte', -12.781, 45.228],
+].map(([code, name, lat, lon]) => ({ code, name, lat, lon }));
+
+const PARIS_POSTAL_CODES = [
+  ...Array.from({ length: 20 }, (_, i) => `750${String(i + 1).padStart(2, '0')}`),
+  '75116',
+];
+
+// [insee, nom, codes postaux, département, lat, lon, population]
+export const COMMUNES = [
+  ['75056', 'Paris', PARIS_POSTAL_CODES, '75', 48.8589, 2.3470, 2133111],
+  ['13055', 'Marseille', ['13001', '13002', '13003', '13004', '13005', '13006', '13007', '13008', '13009', '13010', '13011', '13012', '13013', '13014', '13015', '13016'], '13', 43.2803, 5.3806, 870321],
+  ['69123', 'Lyon', ['69001', '69002', '69003', '69004', '69005', '69006', '69007', '69008', '69009'], '69', 45.7580, 4.8351, 522250],
+  ['31555', 'Toulouse', ['31000', '31100', '31200', '31300', '31400', '31500'], '31', 43.6006, 1.4328, 504078],
+  ['06088', 'Nice', ['06000', '06100', '06200', '06300'], '06', 43.7120, 7.2380, 348085],
+  ['44109', 'Nantes', ['44000', '44100', '44200', '44300'], '44', 47.2316, -1.5484, 320732],
+  ['34172', 'Montpellier', ['34000', '34070', '34080', '34090'], '34', 43.6134, 3.8691, 302454],
+  ['67482', 'Strasbourg', ['67000', '67100', '67200'], '67', 48.5691, 7.7621, 291313],
+  ['33063', 'Bordeaux', ['33000', '33100', '33200', '33300', '33800'], '33', 44.8572, -0.5736, 261804],
+  ['59350', 'Lille', ['59000', '59160', '59260', '59777', '59800'], '59', 50.6310, 3.0472, 236710],
+  ['35238', 'Rennes', ['35000', '35200', '35700'], '35', 48.1159, -1.6884, 225081],
+  ['51454', 'Reims', ['51100'], '51', 49.2514, 4.0402, 180318],
+  ['42218', 'Saint-Étienne', ['42000', '42100'], '42', 45.4301, 4.3793, 173089],
+  ['83137', 'Toulon', ['83000', '83100', '83200'], '83', 43.1364, 5.9334, 180452],
+  ['76351', 'Le Havre', ['76600', '76610', '76620'], '76', 49.4983, 0.1400, 166058],
+  ['38185', 'Grenoble', ['38000', '38100'], '38', 45.1842, 5.7155, 156389],
+  ['21231', 'Dijon', ['21000'], '21', 47.3230, 5.0378, 158002],
+  ['49007', 'Angers', ['49000', '49100'], '49', 47.4768, -0.5563, 155850],
+  ['30189', 'Nîmes', ['30000', '30900'], '30', 43.8440, 4.3475, 148104],
+  ['69266', 'Villeurbanne', ['69100'], '69', 45.7707, 4.8891, 154781],
+  ['63113', 'Clermont-Ferrand', ['63000', '63100'], '63', 45.7857, 3.1157, 147284],
+  ['72181', 'Le Mans', ['72000', '72100'], '72', 47.9885, 0.2003, 145004],
+  ['13001', 'Aix-en-Provence', ['13080', '13090', '13100', '13290', '13540'], '13', 43.5360, 5.3985, 147478],
+  ['29019', 'Brest', ['29200'], '29', 48.4084, -4.5020, 139619],
+  ['37261', 'Tours', ['37000', '37100', '37200'], '37', 47.3986, 0.6965, 137087],
+  ['80021', 'Amiens', ['80000', '80080', '80090'], '80', 49.9009, 2.2908, 133625],
+  ['87085', 'Limoges', ['87000', '87100', '87280'], '87', 45.8567, 1.2260, 129754],
+  ['74010', 'Annecy', ['74000', '74370', '74600', '74940', '74960'], '74', 45.8910, 6.1159, 130721],
+  ['66136', 'Perpignan', ['66000', '66100'], '66', 42.6986, 2.8956, 119344],
+  ['92012', 'Boulogne-Billancourt', ['92100'], '92', 48.8365, 2.2393, 120071],
+  ['57463', 'Metz', ['57000', '57050', '57070'], '57', 49.1081, 6.1955, 118489],
+  ['25056', 'Besançon', ['25000'], '25', 47.2553, 6.0195, 119198],
+  ['45234', 'Orléans', ['45000', '45100'], '45', 47.8828, 1.9161, 116238],
+  ['76540', 'Rouen', ['76000', '76100'], '76', 49.4413, 1.0925, 114083],
+  ['68224', 'Mulhouse', ['68100', '68200'], '68', 47.7494, 7.3254, 105899],
+  ['14118', 'Caen', ['14000'], '14', 49.1846, -0.3698, 108200],
+  ['54395', 'Nancy', ['54000', '54100'], '54', 48.6880, 6.1743, 104885],
+  ['93066', 'Saint-Denis', ['93200', '93210'], '93', 48.9295, 2.3592, 113942],
+  ['95018', 'Argenteuil', ['95100'], '95', 48.9517, 2.2390, 111038],
+  ['93048', 'Montreuil', ['93100'], '93', 48.8633, 2.4485, 111367],
+  ['59512', 'Roubaix', ['59100'], '59', 50.6879, 3.1818, 98892],
+  ['84007', 'Avignon', ['84000'], '84', 43.9352, 4.8403, 91143],
+  ['92050', 'Nanterre', ['92000'], '92', 48.8960, 2.2067, 96277],
+  ['94028', 'Créteil', ['94000'], '94', 48.7837, 2.4545, 92265],
+  ['86194', 'Poitiers', ['86000'], '86', 46.5846, 0.3715, 88665],
+  ['78646', 'Versailles', ['78000'], '78', 48.8039, 2.1191, 83918],
+  ['64445', 'Pau', ['64000'], '64', 43.3200, -0.3500, 75665],
+  ['95127', 'Cergy', ['95000', '95800'], '95', 49.0401, 2.0510, 66322],
+  ['95176', 'Cormeilles-en-Parisis', ['95240'], '95', 48.9739, 2.2014, 25432],
+  ['93008', 'Bobigny', ['93000'], '93', 48.9075, 2.4388, 55604],
+  ['77288', 'Melun', ['77000'], '77', 48.5444, 2.6581, 41572],
+].map(([insee, name, postalCodes, department, lat, lon, population]) => ({ insee, name, postalCodes, department, lat, lon, population }));
@@ -0,0 +1,304 @@
+/**
+ * Critères de localisation : commune (INSEE ou nom), code postal, département,
+ * rayon autour d'une commune. Communes résolues via geo.api.gouv.fr (même source
+ * que l'autocomplétion ville du frontend), repli sur geo-data.js hors ligne.
+ */
+
+import { COMMUNES, DEPARTMENTS } from './geo-data.js';
+import { HttpError } from './http.js';
+import { normalizeText } from './text.js';
+import { traceCall } from './trace.js';
+import { fixturesEnabled } from './fixtures.js';
+
+export const GEO_API = 'https://geo.api.gouv.fr';
+
+const COMMUNE_FIELDS = 'nom,code,codesPostaux,codeDepartement,centre,population';
+const GEO_TIMEOUT_MS = 5000;
+const MAX_RADIUS_KM = 50;
+const DEPARTMENT_REACH_KM = 90; // distance max préfecture → limite du département
+const MAX_RADIUS_DEPARTMENTS = 8;
+const MAX_POSTAL_CODES = 100; // longueur raisonnable pour address-postalcode=a,b,c…
+
+// ─── Resolution ───
+
+/**
+ * Lit insee, postal_code, department, city et radius (km) dans les paramètres.
+ * Renvoie null si aucun critère de localisation n'est fourni.
+ */
+export async function resolveLocation(params, env) {
+  const insee = params.get('insee')?.trim() || '';
+  const postalCode = params.get('postal_code')?.trim() || '';
+  const department = params.get('department')?.trim().toUpperCase() || '';
+  const city = params.get('city')?.trim() || '';
+  const radiusKm = Math.min(Math.max(parseFloat(params.get('radius')) || 0, 0), MAX_RADIUS_KM);
+
+  if (!insee && !postalCode && !city) {
+    return department ? departmentLocation(department) : null;
+  }
+
+  const communes = await findCommunes({ insee, postalCode, city, department }, env);
+  if (!communes.length) {
+    throw new HttpError(400, `Commune introuvable : ${insee || postalCode || city}`, 'unknown_location');
+  }
+
+  if (radiusKm > 0) return radiusLocation(communes[0], radiusKm, env);
+
+  if (postalCode && !insee && !city) {
+    return buildLocation({
+      mode: 'postal_code',
+      label: `${postalCode} (${communes.map(c => c.name).join(', ')})`,
+      communes,
+      postalCodes: [postalCode],
+      center: communes[0],
+    });
+  }
+
+  const commune = communes[0];
+  return buildLocation({
+    mode: 'commune',
+    label: `${commune.name} (${commune.department})`,
+    communes: [commune],
+    postalCodes: commune.postalCodes,
+    center: commune,
+  });
+}
+
+function departmentLocation(code) {
+  const department = DEPARTMENTS.find(d => d.code === code.padStart(2, '0'));
+  if (!department) throw new HttpError(400, `Département inconnu : ${code}`, 'unknown_location');
+  return buildLocation({
+    mode: 'department',
+    label: `${department.name} (${department.code})`,
+    communes: [],
+    postalCodes: [],
+    // Les codes postaux corses commencent tous par 20
+    postalPrefix: /^2[AB]$/.test(department.code) ? '20' : department.code,
+    center: null,
+  });
+}
+
+async function radiusLocation(center, radiusKm, env) {
+  const departments = DEPARTMENTS
+    .map(d => ({ ...d, distance: distanceKm(center, d) }))
+    .filter(d => d.code !== center.department && d.distance <= radiusKm + DEPARTMENT_REACH_KM)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_RADIUS_DEPARTMENTS - 1);
+  const codes = [center.department, ...departments.map(d => d.code)];
+
+  const lists = await Promise.all(codes.map(code => communesOfDepartment(code, env)));
+  const communes = lists.flat()
+    .map(c => ({ ...c, distanceKm: distanceKm(center, c) }))
+    .filter(c => c.distanceKm <= radiusKm);
+  if (!communes.some(c => c.insee === center.insee)) communes.push({ ...center, distanceKm: 0 });
+  communes.sort((a, b) => a.distanceKm - b.distanceKm);
+
+  const postalCodes = [...new Set(communes.flatMap(c => c.postalCodes))].slice(0, MAX_POSTAL_CODES);
+
+  return buildLocation({
+    mode: 'radius',
+    label: `${radiusKm} km autour de ${center.name} (${center.department})`,
+    communes,
+    postalCodes,
+    center,
+    radiusKm,
+    truncated: postalCodes.length === MAX_POSTAL_CODES,
+  });
+}
+
+function buildLocation({ mode, label, communes, postalCodes, postalPrefix = null, center, radiusKm = 0, truncated = false }) {
+  const byPostalCode = new Map();
+  for (const commune of communes) {
+    for (const cp of commune.postalCodes) {
+      if (!byPostalCode.has(cp)) byPostalCode.set(cp, []);
+      byPostalCode.get(cp).push(commune);
+    }
+  }
+  return {
+    mode,
+    label,
+    communes,
+    postalCodes: new Set(postalCodes),
+    postalPrefix,
+    center: center ? { lat: center.lat, lon: center.lon } : null,
+    radiusKm,
+    truncated,
+    byPostalCode,
+  };
+}
+
+// Résumé sérialisable renvoyé au client
+export function describeLocation(location) {
+  if (!location) return undefined;
+  return {
+    mode: location.mode,
+    label: location.label,
+    radiusKm: location.radiusKm || undefined,
+    center: location.center || undefined,
+    communes: location.communes.length || undefined,
+    truncated: location.truncated || undefined,
+  };
+}
+
+// ─── FHIR helpers ───
+
+// Paramètres de recherche Organization correspondant à la localisation
+export function organizationLocationParams(location) {
+  if (location.postalPrefix) return { 'address-postalcode': location.postalPrefix };
+  return { 'address-postalcode': [...location.postalCodes].join(',') };
+}
+
+function organizationInLocation(org, location) {
+  if (!org?.postalCode) return false;
+  if (location.postalPrefix) return org.postalCode.startsWith(location.postalPrefix);
+  return location.postalCodes.has(org.postalCode);
+}
+
+function organizationDistance(org, location) {
+  if (!location.center) return null;
+  const candidates = location.byPostalCode.get(org.postalCode) || [];
+  if (!candidates.length) return null;
+  const city = normalizeText(org.city);
+  const commune = candidates.find(c => normalizeText(c.name) === city) || candidates[0];
+  return Math.round(distanceKm(location.center, commune) * 10) / 10;
+}
+
+/**
+ * Garde les praticiens ayant au moins un lieu d'exercice dans la zone,
+ * ajoute distanceKm (lieu le plus proche) et trie par distance.
+ */
+export function applyLocation(results, location) {
+  if (!location) return results;
+
+  const filtered = [];
+  for (const r of results) {
+    const roles = r.roles.filter(role => organizationInLocation(role.organization, location));
+    if (!roles.length) continue;
+    const distances = roles
+      .map(role => organizationDistance(role.organization, location))
+      .filter(d => d != null);
+    filtered.push(distances.length ? { ...r, distanceKm: Math.min(...distances) } : r);
+  }
+
+  if (location.center) {
+    filtered.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+  }
+  return filtered;
+}
+
+// Structures de la zone (recherche de structures), avec distanceKm et triées par distance
+export function applyOrganizationLocation(orgs, location) {
+  if (!location) return orgs;
+  const filtered = orgs
+    .filter(org => organizationInLocation(org, location))
+    .map(org => {
+      const distance = organizationDistance(org, location);
+      return distance != null ? { ...org, distanceKm: distance } : org;
+    });
+  if (location.center) {
+    filtered.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+  }
+  return filtered;
+}
+
+// ─── geo.api.gouv.fr ───
+
+async function findCommunes({ insee, postalCode, city, department }, env) {
+  try {
+    if (insee) {
+      const commune = await geoFetch(`/communes/${encodeURIComponent(insee)}?fields=${COMMUNE_FIELDS}`, env);
+      return commune ? [toCommune(commune)] : [];
+    }
+    const query = new URLSearchParams({ fields: COMMUNE_FIELDS, boost: 'population' });
+    if (city) query.set('nom', normalizeText(city)); // "St Etienne" → "saint etienne"
+    if (postalCode) query.set('codePostal', postalCode);
+    if (department) query.set('codeDepartement', department);
+    const data = await geoFetch(`/communes?${query}`, env);
+    return rankByName((data || []).map(toCommune), city);
+  } catch {
+    return findLocalCommunes({ insee, postalCode, city, department });
+  }
+}
+
+async function communesOfDepartment(code, env) {
+  try {
+    const data = await geoFetch(`/departements/${code}/communes?fields=${COMMUNE_FIELDS}`, env);
+    return (data || []).map(toCommune).filter(c => c.lat != null);
+  } catch {
+    return COMMUNES.filter(c => c.department === code);
+  }
+}
+
+// Services géographiques publics non interrogés (GEO_OFFLINE=1, mode démo) : jeu de données embarqué
+export function geoOffline(env) {
+  return env.GEO_OFFLINE === '1' || env.GEO_OFFLINE === true || fixturesEnabled(env);
+}
+
+// Les réponses geo.api.gouv.fr passent par la même session de cache que les appels FHIR
+async function geoFetch(path, env) {
+  if (geoOffline(env)) throw new Error('GEO_OFFLINE');
+  const url = `${GEO_API}${path}`;
+
+  const cached = await env.cache?.get(url);
+  if (cached) return cached;
+
+  // Budget épuisé : repli sur le jeu de données embarqué, comme en cas de panne
+  if (env.trace && !env.trace.take()) throw new Error('subrequest budget');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), GEO_TIMEOUT_MS);
+  try {
+    const res = await traceCall(env, 'geo', url, 0, () => fetch(url, { headers: { 'Accept': 'application/json' }, signal: controller.signal }));
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`geo.api.gouv.fr ${res.status}`);
+    const data = await res.json();
+    await env.cache?.put(url, data);
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function toCommune(c) {
+  const [lon, lat] = c.centre?.coordinates || [];
+  return {
+    insee: c.code,
+    name: c.nom,
+    postalCodes: c.codesPostaux || [],
+    department: c.codeDepartement,
+    lat: lat ?? null,
+    lon: lon ?? null,
+    population: c.population || 0,
+  };
+}
+
+// ─── Local stand-in ───
+
+function findLocalCommunes({ insee, postalCode, city, department }) {
+  const matches = COMMUNES.filter(c =>
+    (!insee || c.insee === insee) &&
+    (!postalCode || c.postalCodes.includes(postalCode)) &&
+    (!department || c.department === department) &&
+    (!city || normalizeText(c.name).startsWith(normalizeText(city)))
+  );
+  return rankByName(matches.sort((a, b) => b.population - a.population), city);
+}
+
+// Nom exact en premier, puis ordre d'origine (population décroissante)
+function rankByName(communes, city) {
+  if (!city) return communes;
+  const wanted = normalizeText(city);
+  return [
+    ...communes.filter(c => normalizeText(c.name) === wanted),
+    ...communes.filter(c => normalizeText(c.name) !== wanted),
+  ];
+}
+
+// ─── Distance ───
+
+export function distanceKm(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,107 @@
+/**
+ * Géocodage des adresses de structures (vue carte) : Base Adresse Nationale
+ * (api-adresse.data.gouv.fr), repli sur le centre de la commune (geo-data.js) hors
+ * ligne, budget épuisé ou adresse non reconnue. Les coordonnées sont mises en cache
+ * (session de cache.js, clé = URL BAN) : une adresse n'est géocodée qu'une fois.
+ */
+
+import { COMMUNES } from './geo-data.js';
+import { FhirError } from './fhir.js';
+import { geoOffline } from './geo.js';
+import { normalizeText } from './text.js';
+import { truncate, traceCall } from './trace.js';
+
+export const BAN_API = 'https://api-adresse.data.gouv.fr';
+
+const BAN_TIMEOUT_MS = 5000;
+const MIN_SCORE = 0.5; // en dessous, le résultat BAN est jugé moins fiable que le centre de la commune
+const CONCURRENCY = 6; // connexions simultanées autorisées par invocation Workers
+
+// ─── Geocoding ───
+
+/**
+ * Adresse { street, postalCode, city, cityCode } → { lat, lon, precision, source, label } ;
+ * precision : housenumber | street | locality | municipality ; source : ban | local.
+ * null si ni la BAN ni le jeu de données embarqué ne situent la commune.
+ */
+export async function geocodeAddress(address, env) {
+  const query = banQuery(address);
+  if (!query || geoOffline(env)) return localPoint(address);
+
+  const url = `${BAN_API}/search/?${query}`;
+  const cached = await env.cache?.get(url);
+  if (cached) return cached.point || localPoint(address);
+
+  try {
+    const point = await banFetch(url, env);
+    // Adresse inconnue de la BAN mise en cache aussi ({ point: null }) ; pas une panne
+    await env.cache?.put(url, { point });
+    return point || localPoint(address);
+  } catch (err) {
+    if (err.code === 'budget_exhausted') truncate(env, 'subrequest_budget', 'adresses placées au centre de leur commune');
+    return localPoint(address);
+  }
+}
+
+// Adresses distinctes géocodées une fois, CONCURRENCY à la fois ; résultats dans l'ordre d'entrée
+export async function geocodeAddresses(addresses, env) {
+  const byKey = new Map();
+  for (const address of addresses) {
+    const key = addressKey(address);
+    if (!byKey.has(key)) byKey.set(key, null);
+  }
+
+  const keys = [...byKey.keys()];
+  for (let i = 0; i < keys.length; i += CONCURRENCY) {
+    const batch = keys.slice(i, i + CONCURRENCY);
+    const points = await Promise.all(batch.map(key => geocodeAddress(addresses.find(a => addressKey(a) === key), env)));
+    batch.forEach((key, j) => byKey.set(key, points[j]));
+  }
+  return addresses.map(address => byKey.get(addressKey(address)));
+}
+
+function addressKey({ street, postalCode, city, cityCode }) {
+  return [street, postalCode, cityCode, city].map(normalizeText).join('|');
+}
+
+// ─── api-adresse.data.gouv.fr ───
+
+function banQuery({ street, postalCode, city, cityCode }) {
+  const q = [street, city].filter(Boolean).join(' ').trim();
+  if (q.length < 3) return null;
+  const params = new URLSearchParams({ q, limit: '1' });
+  if (cityCode) params.set('citycode', cityCode);
+  else if (postalCode) params.set('postcode', postalCode);
+  return params.toString();
+}
+
+// Point BAN, null si aucun résultat assez fiable ; rejette si le service est injoignable
+// ou si le budget de sous-requêtes est épuisé (voir trace.js)
+async function banFetch(url, env) {
+  if (env.trace && !env.trace.take()) throw new FhirError('budget_exhausted');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), BAN_TIMEOUT_MS);
+  try {
+    const res = await traceCall(env, 'ban', url, 0, () => fetch(url, { headers: { 'Accept': 'application/json' }, signal: controller.signal }));
+    if (!res.ok) throw new Error(`api-adresse.data.gouv.fr ${res.status}`);
+    const feature = (await res.json()).features?.[0];
+    if (!feature || (feature.properties?.score ?? 0) < MIN_SCORE) return null;
+    const [lon, lat] = feature.geometry.coordinates;
+    return { lat, lon, precision: feature.properties.type || 'street', source: 'ban', label: feature.properties.label || null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ─── Local stand-in ───
+
+// Centre de la commune (code INSEE, sinon code postal et nom) d'après geo-data.js
+function localPoint({ postalCode, city, cityCode }) {
+  const wanted = normalizeText(city);
+  const commune = (cityCode && COMMUNES.find(c => c.insee === cityCode))
+    || COMMUNES.find(c => c.postalCodes.includes(postalCode) && (!wanted || normalizeText(c.name) === wanted))
+    || COMMUNES.find(c => c.postalCodes.includes(postalCode));
+  if (!commune) return null;
+  const label = [postalCode, commune.name].filter(Boolean).join(' ');
+  return { lat: commune.lat, lon: commune.lon, precision: 'municipality', source: 'local', label };
+}
@@ -0,0 +1,48 @@
+/**
+ * Helpers HTTP partagés par les Pages Functions
+ */
+
+import { FhirError } from './fhir.js';
+
+// Erreur de validation ou métier à renvoyer telle quelle au client
+export class HttpError extends Error {
+  constructor(status, message, code = 'bad_request') {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Réponse au préflight ; Access-Control-Allow-Origin est posé par le middleware (ALLOWED_ORIGINS)
+export function corsHeaders(methods = 'GET, OPTIONS') {
+  return {
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, Authorization, X-API-Key',
+    'Access-Control-Max-Age': '86400',
+  };
+}
+
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+  });
+}
+
+// Traduit une erreur en réponse JSON { error, code } avec le bon statut HTTP
+export function errorResponse(err) {
+  const { status, error, code, retryAfter } = describeError(err);
+  const headers = retryAfter != null ? { 'Retry-After': String(retryAfter) } : {};
+  return jsonResponse({ error, code }, status, headers);
+}
+
+// Statut, message et code d'une erreur : corps de errorResponse ou ligne d'erreur d'un flux NDJSON
+export function describeError(err) {
+  if (err instanceof FhirError) return { status: err.status, error: err.message, code: err.code, retryAfter: err.retryAfter ?? undefined };
+  if (err instanceof HttpError) return { status: err.status, error: err.message, code: err.code };
+  return { status: 500, error: err.message, code: 'internal_error' };
+}
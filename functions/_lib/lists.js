@@ -0,0 +1,146 @@
+/**
+ * Listes de praticiens enregistrées côté serveur (sélections nommées)
+ * Backend : KV (binding LISTS) si présent, sinon Map en mémoire (wrangler pages dev, tests locaux)
+ *
+ * Chaque liste a deux identifiants aléatoires :
+ * - id      : secret, donne le droit de modifier / supprimer (gardé par le navigateur)
+ * - shareId : lien de partage en lecture seule
+ */
+
+import { HttpError } from './http.js';
+
+const MAX_ITEMS = 1000;
+const MAX_NAME_LENGTH = 120;
+const MAX_BYTES = 2 * 1024 * 1024;
+const MEMORY_MAX_LISTS = 200;
+
+// Champs conservés pour chaque praticien (score, matched, distanceKm dépendent de la recherche)
+const ITEM_FIELDS = ['id', 'rpps', 'identifiers', 'lastName', 'firstName', 'prefix', 'suffix', 'qualifications', 'active', 'roles', 'contacts'];
+
+// ─── CRUD ───
+
+export async function createList({ name, items = [] }, env) {
+  const now = new Date().toISOString();
+  const list = {
+    id: randomId(16),
+    shareId: randomId(9),
+    name: cleanName(name),
+    items: cleanItems(items),
+    createdAt: now,
+    updatedAt: now,
+  };
+  const store = listStore(env);
+  await store.put(`list:${list.id}`, checkSize(list));
+  await store.put(`share:${list.shareId}`, list.id);
+  return list;
+}
+
+export async function getList(id, env) {
+  const list = await listStore(env).get(`list:${id}`);
+  if (!list) throw notFound();
+  return list;
+}
+
+// Vue lecture seule : sans l'id qui permet de modifier
+export async function getSharedList(shareId, env) {
+  const id = await listStore(env).get(`share:${shareId}`);
+  if (!id) throw notFound();
+  const { id: _secret, ...shared } = await getList(id, env);
+  return shared;
+}
+
+export async function updateList(id, { name, items }, env) {
+  const list = await getList(id, env);
+  if (name !== undefined) list.name = cleanName(name);
+  if (items !== undefined) list.items = cleanItems(items);
+  list.updatedAt = new Date().toISOString();
+  await listStore(env).put(`list:${id}`, checkSize(list));
+  return list;
+}
+
+export async function deleteList(id, env) {
+  const list = await getList(id, env);
+  const store = listStore(env);
+  await store.delete(`list:${id}`);
+  await store.delete(`share:${list.shareId}`);
+}
+
+// Résumé affiché dans le sélecteur de listes
+export function summarizeList(list) {
+  return { id: list.id, shareId: list.shareId, name: list.name, count: list.items.length, updatedAt: list.updatedAt };
+}
+
+// ─── Validation ───
+
+function cleanName(name) {
+  const value = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  return value || 'Ma sélection';
+}
+
+function cleanItems(items) {
+  if (!Array.isArray(items)) throw new HttpError(400, 'items doit être un tableau de praticiens', 'bad_request');
+  if (items.length > MAX_ITEMS) throw new HttpError(413, `Maximum ${MAX_ITEMS} praticiens par liste`, 'list_too_large');
+
+  const seen = new Set();
+  const cleaned = [];
+  for (const item of items) {
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      throw new HttpError(400, 'Chaque praticien doit avoir un id', 'bad_request');
+    }
+    if (seen.has(item.id)) continue;
+    seen.add(item.id);
+    cleaned.push(Object.fromEntries(ITEM_FIELDS.filter(f => item[f] !== undefined).map(f => [f, item[f]])));
+  }
+  return cleaned;
+}
+
+function checkSize(list) {
+  if (new TextEncoder().encode(JSON.stringify(list)).length > MAX_BYTES) {
+    throw new HttpError(413, 'Liste trop volumineuse', 'list_too_large');
+  }
+  return list;
+}
+
+function notFound() {
+  return new HttpError(404, 'Liste introuvable', 'list_not_found');
+}
+
+// Identifiant aléatoire base64url (16 octets → 22 caractères)
+function randomId(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return btoa(String.fromCharCode(...values)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// ─── Stores ───
+
+function listStore(env) {
+  if (env.LISTS) return kvStore(env.LISTS);
+  return memoryStore;
+}
+
+function kvStore(kv) {
+  return {
+    get: key => kv.get(key, 'json'),
+    put: (key, value) => kv.put(key, JSON.stringify(value)),
+    delete: key => kv.delete(key),
+  };
+}
+
+// Stocke du JSON sérialisé pour que les appelants ne puissent pas muter la liste enregistrée
+const memoryEntries = new Map();
+const memoryStore = {
+  async get(key) {
+    const json = memoryEntries.get(key);
+    return json ? JSON.parse(json) : null;
+  },
+  async put(key, value) {
+    memoryEntries.set(key, JSON.stringify(value));
+    // Deux clés par liste (list: + share:)
+    if (memoryEntries.size > MEMORY_MAX_LISTS * 2) {
+      memoryEntries.delete(memoryEntries.keys().next().value);
+    }
+  },
+  async delete(key) {
+    memoryEntries.delete(key);
+  },
+};
@@ -0,0 +1,109 @@
+/**
+ * Recherche de structures (/api/search/organizations) : nom, type, FINESS, SIRET et zone.
+ * Tous les critères se combinent (ET) et sont envoyés à la passerelle sur Organization ;
+ * seul un type en texte libre (« EHPAD », « clinique ») devient un post-filtre.
+ */
+
+import { HttpError } from './http.js';
+import { organizationLocationParams, applyOrganizationLocation } from './geo.js';
+import { normalizeText } from './text.js';
+
+const FINESS_PATTERN = /^(\d{2}|2[AB])\d{7}$/;
+const SIRET_PATTERN = /^\d{14}$/;
+// Code de catégorie d'établissement (TRE-R66 : 124, 365, 500…) ou de secteur (SA07)
+const TYPE_CODE_PATTERN = /^[A-Z]{0,3}\d{1,4}$/i;
+
+// Sigles courants → libellé (sans accents) des catégories d'établissement
+const TYPE_SYNONYMS = {
+  ehpad: 'hebergement pour personnes agees dependantes',
+  chu: 'centre hospitalier',
+  chr: 'centre hospitalier regional',
+  ch: 'centre hospitalier',
+  cds: 'centre de sante',
+};
+
+// ─── Parameters ───
+
+// name, type (code ou texte), finess, siret ; numéros validés (espaces ignorés)
+export function readOrganizationQuery(params) {
+  const finess = (params.get('finess') || '').replace(/\s/g, '').toUpperCase();
+  const siret = (params.get('siret') || '').replace(/\s/g, '');
+  if (finess && !FINESS_PATTERN.test(finess)) {
+    throw new HttpError(400, `Numéro FINESS invalide : ${params.get('finess')} (9 caractères)`, 'bad_request');
+  }
+  if (siret && !SIRET_PATTERN.test(siret)) {
+    throw new HttpError(400, `Numéro SIRET invalide : ${params.get('siret')} (14 chiffres)`, 'bad_request');
+  }
+  const type = (params.get('type') || '').trim();
+  return {
+    name: (params.get('name') || '').trim(),
+    typeCode: TYPE_CODE_PATTERN.test(type) ? type.toUpperCase() : '',
+    typeText: TYPE_CODE_PATTERN.test(type) ? '' : type,
+    finess,
+    siret,
+  };
+}
+
+// ─── Planning ───
+
+/**
+ * Paramètres Organization et description des critères ({ criterion, value, applied }),
+ * null sans critère. L'identifiant est cherché sans système (FINESS et SIRET n'ont pas
+ * d'URI stable d'une source à l'autre) puis vérifié sur la structure trouvée.
+ */
+export function planOrganizationSearch(query, location, count) {
+  const fhirParams = new URLSearchParams();
+  const criteria = [];
+  const add = (criterion, value, applied = 'gateway') => {
+    if (value) criteria.push({ criterion, value, applied });
+  };
+
+  if (query.finess || query.siret) fhirParams.set('identifier', query.finess || query.siret);
+  if (query.name) fhirParams.set('name', query.name);
+  if (query.typeCode) fhirParams.set('type', query.typeCode);
+  if (location) {
+    for (const [key, value] of Object.entries(organizationLocationParams(location))) fhirParams.set(key, value);
+  }
+
+  add('finess', query.finess);
+  add('siret', query.siret, query.finess ? 'filter' : 'gateway');
+  add('name', query.name);
+  add('type', query.typeCode || query.typeText, query.typeCode ? 'gateway' : 'filter');
+  add('location', location?.label);
+
+  if (!criteria.length) return null;
+  if (!criteria.some(c => c.applied === 'gateway')) {
+    throw new HttpError(400, 'Un type en texte libre complète un autre critère (nom, FINESS, SIRET, localisation) ; sinon utilisez son code', 'bad_request');
+  }
+
+  fhirParams.set('_count', String(count));
+  return { strategy: 'organization', criteria, fhirParams };
+}
+
+// ─── Post-filters & ranking ───
+
+// Identifiants vérifiés, type en texte libre, zone (distanceKm), puis nom le plus proche d'abord
+export function filterOrganizations(orgs, query, location) {
+  const typeTerms = typeTermsFor(query.typeText);
+  const filtered = orgs.filter(org =>
+    (!query.finess || org.finess === query.finess)
+    && (!query.siret || org.siret === query.siret)
+    && (!typeTerms.length || typeTerms.some(term => normalizeText(org.type).includes(term)))
+  );
+
+  const located = applyOrganizationLocation(filtered, location);
+  if (!query.name) return located;
+  const wanted = normalizeText(query.name);
+  const rank = org => {
+    const name = normalizeText(org.name);
+    return name === wanted ? 0 : name.startsWith(wanted) ? 1 : 2;
+  };
+  // Tri stable : à rang égal, l'ordre par distance est conservé
+  return located.sort((a, b) => rank(a) - rank(b));
+}
+
+function typeTermsFor(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+  return [normalized, TYPE_SYNONYMS[normalized]].filter(Boolean);
+}
@@ -0,0 +1,229 @@
+/**
+ * Parsers FHIR → objets plats consommés par le frontend
+ * Partagés par toutes les Pages Functions
+ */
+
+import { normalizeTelecom, dedupeTelecoms, parseAddress } from './contacts.js';
+
+export function parsePractitioner(resource) {
+  const name = resource.name?.[0] || {};
+  const identifiers = (resource.identifier || []).map(id => ({
+    system: id.system,
+    value: id.value,
+    type: id.system?.includes('rpps') ? 'RPPS'
+      : id.system?.includes('adeli') ? 'ADELI'
+      : id.type?.coding?.[0]?.code || 'OTHER',
+  }));
+
+  // Historique complet : diplômes, spécialités, autorisations, avec organisme émetteur et dates
+  const qualifications = (resource.qualification || []).map(q => ({
+    code: q.code?.coding?.[0]?.code,
+    display: q.code?.coding?.[0]?.display || q.code?.text,
+    system: q.code?.coding?.[0]?.system,
+    issuer: q.issuer?.display || null,
+    period: parsePeriod(q.period),
+  }));
+
+  const rpps = identifiers.find(i => i.type === 'RPPS')?.value || null;
+  const { telecoms, mssMailboxes } = parseTelecoms(resource.telecom);
+
+  return {
+    id: resource.id,
+    rpps,
+    identifiers,
+    lastName: name.family || '',
+    firstName: (name.given || []).join(' '),
+    prefix: (name.prefix || []).join(' '),
+    suffix: (name.suffix || []).join(' '),
+    qualifications,
+    telecoms,
+    mssMailboxes,
+    active: resource.active !== false,
+  };
+}
+
+// TRE-R23-ModeExercice
+export const PRACTICE_MODES = { L: 'Libéral', S: 'Salarié', B: 'Bénévole' };
+
+/**
+ * PractitionerRole → lieu d'exercice. Les nomenclatures ANS portées par `code`
+ * ou par les extensions du profil sont lues d'après leur table NOS :
+ * profession (TRE-G15), mode d'exercice (TRE-R23), fonction (TRE-R21),
+ * genre d'activité (TRE-R22), secteur d'activité (TRE-R02)
+ */
+export function parsePractitionerRole(resource) {
+  const specialties = (resource.specialty || []).flatMap(s =>
+    (s.coding || []).map(c => c.display || c.code)
+  );
+
+  const { telecoms, mssMailboxes } = parseTelecoms(resource.telecom);
+
+  const practRef = resource.practitioner?.reference || '';
+  const practitionerId = practRef.replace('Practitioner/', '');
+
+  const orgRef = resource.organization?.reference || '';
+  const organizationId = orgRef.replace('Organization/', '');
+
+  const codings = roleCodings(resource);
+  const practiceMode = nosCoding(codings, 'R23');
+  if (practiceMode && !practiceMode.display) practiceMode.display = PRACTICE_MODES[practiceMode.code] || null;
+
+  const locations = (resource.location || []).map(l => ({
+    id: (l.reference || '').replace('Location/', '') || null,
+    name: l.display || null,
+  }));
+
+  return {
+    id: resource.id,
+    practitionerId,
+    organizationId,
+    profession: nosCoding(codings, 'G15'),
+    practiceMode,
+    function: nosCoding(codings, 'R21'),
+    activityType: nosCoding(codings, 'R22'),
+    sector: nosCoding(codings, 'R02'),
+    period: parsePeriod(resource.period),
+    locations,
+    specialties,
+    telecoms,
+    mssMailboxes,
+    active: resource.active !== false,
+  };
+}
+
+// Rôle actif et période d'exercice non terminée à la date `today` (YYYY-MM-DD)
+export function isRoleCurrent(role, today = new Date().toISOString().slice(0, 10)) {
+  if (role.active === false) return false;
+  const end = role.period?.end?.slice(0, 10);
+  return !end || end >= today;
+}
+
+// Codings de role.code et des extensions (imbriquées comprises)
+function roleCodings(resource) {
+  const codings = (resource.code || []).flatMap(c => c.coding || []);
+  const visit = extensions => {
+    for (const ext of extensions || []) {
+      if (ext.valueCoding) codings.push(ext.valueCoding);
+      if (ext.valueCodeableConcept) codings.push(...(ext.valueCodeableConcept.coding || []));
+      visit(ext.extension);
+    }
+  };
+  visit(resource.extension);
+  return codings;
+}
+
+// Premier coding de la table NOS `table` (R23 → .../TRE_R23-ModeExercice/...)
+function nosCoding(codings, table) {
+  const pattern = new RegExp(`TRE[_-]${table}(?![0-9])`);
+  const coding = codings.find(c => pattern.test(c.system || ''));
+  return coding ? { code: coding.code, display: coding.display || null } : null;
+}
+
+// Location incluse (_include=PractitionerRole:location) : lieu précis d'un exercice
+export function parseLocation(resource) {
+  const addr = resource.address || null;
+  const postalAddress = parseAddress(addr);
+  return {
+    id: resource.id,
+    name: resource.name || null,
+    address: addr ? formatAddress(addr) : null,
+    postalAddress,
+    postalCode: postalAddress?.postalCode || null,
+    city: postalAddress?.city || null,
+    telecoms: parseTelecoms(resource.telecom).telecoms,
+    active: resource.status !== 'inactive',
+  };
+}
+
+// ─── Telecoms ───
+
+// Adresses de messagerie sécurisée de santé : domaine mssante.fr ou métadonnées de BAL MSS
+const MSS_DOMAIN = /@(?:[a-z0-9-]+\.)*mssante\.fr$/i;
+
+/**
+ * telecom[] → { telecoms, mssMailboxes } : les boîtes MSSanté sont séparées des
+ * e-mails ordinaires, avec type (PER personnelle, ORG organisationnelle, APP applicative),
+ * description et service lus dans l'extension de métadonnées ANS.
+ * Valeurs normalisées (contacts.js : E.164, minuscules) et dédoublonnées
+ */
+export function parseTelecoms(telecom) {
+  const telecoms = [];
+  const mssMailboxes = [];
+  for (const t of telecom || []) {
+    const metadata = (t.extension || []).find(e => /mss|mailbox/i.test(e.url || ''));
+    if (t.system === 'email' && (metadata || MSS_DOMAIN.test(t.value || ''))) {
+      const address = String(t.value).trim().toLowerCase();
+      if (mssMailboxes.some(m => m.address === address)) continue;
+      mssMailboxes.push({
+        address,
+        type: subExtension(metadata, 'type'),
+        description: subExtension(metadata, 'description'),
+        service: subExtension(metadata, 'service'),
+      });
+    } else {
+      telecoms.push(normalizeTelecom(t));
+    }
+  }
+  return { telecoms: dedupeTelecoms(telecoms), mssMailboxes };
+}
+
+// Valeur simple d'une sous-extension, repérée par la fin de son url
+function subExtension(extension, name) {
+  const sub = extension?.extension?.find(e => e.url === name || e.url?.endsWith(`/${name}`) || e.url?.endsWith(`-${name}`));
+  if (!sub) return null;
+  return sub.valueString ?? sub.valueCode ?? sub.valueCoding?.code ?? sub.valueCodeableConcept?.coding?.[0]?.code ?? null;
+}
+
+function parsePeriod(period) {
+  return period ? { start: period.start || null, end: period.end || null } : null;
+}
+
+// TRE-G07-TypeIdentifiantStructure
+const ORG_IDENTIFIER_TYPES = { '1': 'FINESS', '2': 'SIREN', '3': 'SIRET', '4': 'RPPS_RANG' };
+
+export function parseOrganization(resource) {
+  const addr = resource.address?.[0] || null;
+  const postalAddress = parseAddress(addr);
+  const telecoms = dedupeTelecoms((resource.telecom || []).map(t => normalizeTelecom({ system: t.system, value: t.value })));
+
+  const identifiers = (resource.identifier || []).map(id => ({
+    system: id.system,
+    value: id.value,
+    type: organizationIdentifierType(id),
+  }));
+
+  return {
+    id: resource.id,
+    name: resource.name || '',
+    type: resource.type?.[0]?.coding?.[0]?.display || '',
+    address: addr ? formatAddress(addr) : null,
+    postalAddress,
+    street: postalAddress?.street || null,
+    city: postalAddress?.city || null,
+    postalCode: postalAddress?.postalCode || null,
+    telecoms,
+    identifiers,
+    finess: identifiers.find(i => i.type === 'FINESS')?.value || null,
+    siret: identifiers.find(i => i.type === 'SIRET')?.value || null,
+    active: resource.active !== false,
+  };
+}
+
+function organizationIdentifierType(id) {
+  const system = (id.system || '').toLowerCase();
+  if (system.includes('finess')) return 'FINESS';
+  if (system.includes('siret')) return 'SIRET';
+  if (system.includes('siren')) return id.value?.length === 14 ? 'SIRET' : 'SIREN';
+  const code = id.type?.coding?.[0]?.code;
+  return ORG_IDENTIFIER_TYPES[code] || code || 'OTHER';
+}
+
+export function formatAddress(addr) {
+  if (!addr) return null;
+  const parts = [
+    ...(addr.line || []),
+    [addr.postalCode, addr.city].filter(Boolean).join(' '),
+    addr.country,
+  ].filter(Boolean);
+  return parts.join(', ');
+}
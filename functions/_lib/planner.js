@@ -0,0 +1,132 @@
+/**
+ * Planification de /api/search : tous les critères se combinent (ET).
+ * Le point d'entrée FHIR le plus sélectif est choisi, les critères que la passerelle
+ * sait traiter sur ce point d'entrée lui sont envoyés, les autres deviennent des
+ * post-filtres. La réponse décrit le plan (champ `plan`).
+ */
+
+import { HttpError } from './http.js';
+import { PRACTICE_MODES, isRoleCurrent } from './parsers.js';
+import { applyLocation } from './geo.js';
+import { specialtyTermsFor, matchesSpecialty } from './ranking.js';
+import { normalizeText } from './text.js';
+
+// ─── Planning ───
+
+/**
+ * query = { rpps, name, specialtyEntry, specialty, location, practice } → plan, null sans critère.
+ * Points d'entrée, du plus au moins sélectif :
+ * - rpps          : Practitioner?identifier (une fiche)
+ * - qualification : Practitioner?qualification-code, + family/given si nom
+ * - name          : Practitioner?family/given/name
+ * - location      : Organization de la zone → rôles → Practitioner (+ qualification-code)
+ * - role          : PractitionerRole?role (profession seule, ou spécialité en texte libre)
+ */
+export function planSearch(query) {
+  const { rpps, name, specialtyEntry, specialty, location, practice } = query;
+  const gateway = new Set();
+  let strategy;
+
+  if (rpps) {
+    strategy = 'rpps';
+    gateway.add('rpps');
+  } else if (name) {
+    strategy = specialtyEntry ? 'qualification' : 'name';
+    gateway.add('name');
+    if (specialtyEntry) gateway.add('specialty_code');
+  } else if (location) {
+    strategy = 'location';
+    gateway.add('location');
+    if (specialtyEntry) gateway.add('specialty_code');
+  } else if (specialtyEntry) {
+    // Profession seule → PractitionerRole.code ; spécialité → Practitioner.qualification
+    strategy = specialtyEntry.kind === 'profession' ? 'role' : 'qualification';
+    gateway.add('specialty_code');
+  } else if (specialty) {
+    // role=<texte> ne fait que dégrossir : le post-filtre texte décide
+    strategy = 'role';
+  } else if (practice) {
+    throw new HttpError(400, 'practice_mode et active_only complètent un autre critère (nom, RPPS, localisation, spécialité)', 'bad_request');
+  } else {
+    return null;
+  }
+
+  const criteria = [];
+  const add = (criterion, value) => {
+    if (value) criteria.push({ criterion, value, applied: gateway.has(criterion) ? 'gateway' : 'filter' });
+  };
+  add('rpps', rpps);
+  add('name', name);
+  add('specialty_code', specialtyEntry?.code);
+  add('specialty', specialty);
+  add('location', location?.label);
+  add('practice_mode', practice?.modes && [...practice.modes].join(','));
+  add('active_only', practice?.activeOnly && '1');
+
+  return {
+    strategy,
+    criteria,
+    gateway,
+    filters: new Set(criteria.filter(c => c.applied === 'filter').map(c => c.criterion)),
+  };
+}
+
+// Forme renvoyée au client : { strategy, criteria: [{ criterion, value, applied: gateway | filter }] }
+export function describePlan(plan) {
+  return { strategy: plan.strategy, criteria: plan.criteria };
+}
+
+// ─── Post-filters ───
+
+/**
+ * Critères non traités par la passerelle. La zone est toujours appliquée : elle ajoute
+ * distanceKm et écarte les lieux d'exercice hors zone des structures trouvées.
+ * Le nom se filtre au classement (rankResults, requireName).
+ */
+export function filterResults(results, query, plan) {
+  let filtered = results;
+  if (plan.filters.has('specialty_code')) {
+    filtered = filtered.filter(r => matchesSpecialtyEntry(r, query.specialtyEntry));
+  }
+  if (plan.filters.has('specialty')) {
+    const terms = specialtyTermsFor(query.specialty);
+    filtered = filtered.filter(r => matchesSpecialty(r, terms));
+  }
+  if (query.practice) filtered = filterByPractice(filtered, query.practice);
+  return applyLocation(filtered, query.location);
+}
+
+// Code du référentiel : qualification, profession d'un rôle, ou libellé de spécialité d'un rôle
+function matchesSpecialtyEntry(r, entry) {
+  return (r.qualifications || []).some(q => q.code === entry.code)
+    || (r.roles || []).some(role => role.profession?.code === entry.code)
+    || matchesSpecialty(r, specialtyTermsFor(entry.label));
+}
+
+// Au moins un lieu d'exercice dans l'un des modes demandés (TRE-R23), et en cours si activeOnly
+function filterByPractice(results, practice) {
+  const today = new Date().toISOString().slice(0, 10);
+  return results.filter(r => (!practice.activeOnly || r.active !== false) && (r.roles || []).some(role =>
+    (!practice.modes || practice.modes.has(role.practiceMode?.code))
+    && (!practice.activeOnly || isRoleCurrent(role, today))
+  ));
+}
+
+// ─── Parameters ───
+
+// practice_mode=L,S (codes ou libellés : libéral, salarié, bénévole) ; active_only=1
+export function readPracticeFilter(params) {
+  const modes = (params.get('practice_mode') || '').split(',').map(v => v.trim()).filter(Boolean).map(practiceModeCode);
+  const activeOnly = ['1', 'true'].includes(params.get('active_only'));
+  if (!modes.length && !activeOnly) return null;
+  return { modes: modes.length ? new Set(modes) : null, activeOnly };
+}
+
+function practiceModeCode(value) {
+  const wanted = normalizeText(value);
+  const code = Object.keys(PRACTICE_MODES).find(c =>
+    c.toLowerCase() === wanted || normalizeText(PRACTICE_MODES[c]) === wanted
+  );
+  if (!code) throw new HttpError(400, `Mode d'exercice inconnu : ${value} (L, S ou B)`, 'bad_request');
+  return code;
+}
@@ -0,0 +1,164 @@
+/**
+ * Score de pertinence des résultats de /api/search
+ * RPPS exact > nom complet exact > nom exact > nom partiel > nom approché,
+ * puis bonus localisation (distance) et spécialité. Chaque résultat reçoit
+ * score et matched (champs ayant correspondu, pour la mise en évidence côté UI).
+ */
+
+import { normalizeText } from './text.js';
+import { matchSpecialties } from './specialties.js';
+
+const SCORE = {
+  rpps: 100,
+  fullName: 60,
+  exactName: 45,
+  partialName: 30,
+  fuzzyName: 20,
+  someName: 10,
+  location: 5,
+  nearby: 10, // bonus max, décroît avec la distance
+  specialty: 5,
+};
+
+// ─── Ranking ───
+
+/**
+ * Ajoute score / matched et trie : score décroissant, puis distance, puis nom.
+ * requireName → écarte les résultats dont le nom ne correspond à aucun mot de la requête
+ */
+export function rankResults(results, { rpps = '', name = '', location = null, specialty = '' } = {}, { requireName = false } = {}) {
+  const nameTokens = normalizeText(name).split(' ').filter(Boolean);
+  const specialtyTerms = specialtyTermsFor(specialty);
+
+  const ranked = [];
+  for (const r of results) {
+    const matched = [];
+    let score = 0;
+
+    if (rpps && r.rpps === rpps.trim()) {
+      score += SCORE.rpps;
+      matched.push('rpps');
+    }
+
+    if (nameTokens.length) {
+      const nameMatch = scoreName(r, nameTokens);
+      if (requireName && !nameMatch.score) continue;
+      score += nameMatch.score;
+      matched.push(...nameMatch.fields);
+    }
+
+    if (location) {
+      score += SCORE.location;
+      if (r.distanceKm != null) {
+        score += Math.max(0, SCORE.nearby - r.distanceKm / 5);
+      }
+      matched.push('location');
+    }
+
+    if (specialtyTerms.length && matchesSpecialty(r, specialtyTerms)) {
+      score += SCORE.specialty;
+      matched.push('specialty');
+    }
+
+    ranked.push({ ...r, score: Math.round(score * 10) / 10, matched });
+  }
+
+  return ranked.sort((a, b) =>
+    b.score - a.score ||
+    (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) ||
+    (a.lastName || '').localeCompare(b.lastName || '', 'fr') ||
+    (a.firstName || '').localeCompare(b.firstName || '', 'fr')
+  );
+}
+
+// ─── Name ───
+
+function scoreName(r, tokens) {
+  const last = normalizeText(r.lastName).split(' ').filter(Boolean);
+  const first = normalizeText(r.firstName).split(' ').filter(Boolean);
+  const fields = new Set();
+  const kinds = [];
+
+  for (const token of tokens) {
+    const inLast = matchWord(token, last);
+    const inFirst = matchWord(token, first);
+    // Le nom de famille l'emporte à qualité égale
+    const best = rank(inLast) >= rank(inFirst) ? { kind: inLast, field: 'lastName' } : { kind: inFirst, field: 'firstName' };
+    kinds.push(best.kind);
+    if (best.kind) fields.add(best.field);
+  }
+
+  let score = 0;
+  if (kinds.every(k => k === 'exact')) {
+    const coversAll = tokens.length === last.length + first.length && fields.has('lastName') && fields.has('firstName');
+    score = coversAll ? SCORE.fullName : SCORE.exactName;
+  } else if (kinds.every(k => k === 'exact' || k === 'prefix')) {
+    score = SCORE.partialName;
+  } else if (kinds.every(Boolean)) {
+    score = SCORE.fuzzyName;
+  } else if (kinds.some(Boolean)) {
+    score = SCORE.someName;
+  }
+  return { score, fields: score ? [...fields] : [] };
+}
+
+function rank(kind) {
+  return { exact: 3, prefix: 2, fuzzy: 1 }[kind] || 0;
+}
+
+// 'exact' | 'prefix' | 'fuzzy' | null pour le meilleur mot du champ
+function matchWord(token, words) {
+  let best = null;
+  for (const word of words) {
+    if (word === token) return 'exact';
+    if (word.startsWith(token)) best = 'prefix';
+    else if (!best && isTypo(token, word)) best = 'fuzzy';
+  }
+  return best;
+}
+
+// Tolérance : 0 faute jusqu'à 3 lettres, 1 jusqu'à 6, 2 au-delà
+export function isTypo(a, b) {
+  const max = a.length <= 3 ? 0 : a.length <= 6 ? 1 : 2;
+  return max > 0 && Math.abs(a.length - b.length) <= max && editDistance(a, b, max) <= max;
+}
+
+// Distance de Damerau-Levenshtein (transpositions adjacentes), arrêt anticipé au-delà de max
+function editDistance(a, b, max) {
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// ─── Specialty ───
+
+// Texte libre → lui-même + libellés et synonymes des entrées du référentiel qui y correspondent
+export function specialtyTermsFor(specialty) {
+  const wanted = normalizeText(specialty);
+  if (!wanted) return [];
+  const entries = wanted.length >= 3 ? matchSpecialties(specialty) : [];
+  return [...new Set([wanted, ...entries.flatMap(e => [e.label, ...e.synonyms].map(normalizeText))])];
+}
+
+export function matchesSpecialty(r, terms) {
+  const labels = [
+    ...(r.roles || []).flatMap(role => role.specialties || []),
+    ...(r.qualifications || []).map(q => q.display),
+  ].map(normalizeText).filter(Boolean);
+  return labels.some(label => terms.some(term => label.includes(term)));
+}
@@ -0,0 +1,55 @@
+/**
+ * Limiteur à seau de jetons (token bucket), un seau par client (clé consommateur ou IP)
+ * Capacité = limite par minute, rechargée en continu : une rafale de `limit` requêtes
+ * passe, puis le débit est plafonné à `limit` par minute.
+ *
+ * Les seaux vivent dans la mémoire de l'isolate : la limite s'applique par instance
+ * (par point de présence), ce qui suffit à contenir un client trop bavard et à
+ * protéger le quota ESANTE-API-KEY sans requête supplémentaire par appel.
+ */
+
+const WINDOW_SECONDS = 60;
+const MAX_BUCKETS = 10000;
+
+const buckets = new Map();
+
+/**
+ * Consomme un jeton pour `id` ; renvoie { allowed, limit, remaining, reset, retryAfter }
+ * (secondes) de quoi remplir les en-têtes RateLimit-*
+ */
+export function takeToken(id, limit, now = Date.now()) {
+  const ratePerMs = limit / (WINDOW_SECONDS * 1000);
+  let bucket = buckets.get(id);
+  if (bucket) {
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+    buckets.delete(id); // réinséré en fin : la Map reste triée du moins au plus récent
+  } else {
+    bucket = { tokens: limit, updatedAt: now };
+    if (buckets.size >= MAX_BUCKETS) buckets.delete(buckets.keys().next().value);
+  }
+  buckets.set(id, bucket);
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(bucket.tokens),
+    reset: Math.ceil((limit - bucket.tokens) / ratePerMs / 1000), // seau plein
+    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs / 1000),
+  };
+}
+
+// En-têtes IETF draft-ietf-httpapi-ratelimit-headers
+export function rateLimitHeaders(state) {
+  const headers = {
+    'RateLimit-Policy': `${state.limit};w=${WINDOW_SECONDS}`,
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(state.reset),
+  };
+  if (!state.allowed) headers['Retry-After'] = String(state.retryAfter);
+  return headers;
+}
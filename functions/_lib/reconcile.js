@@ -0,0 +1,322 @@
+/**
+ * Rapprochement d'un fichier de contacts (export CRM : nom, prénom, ville, parfois
+ * spécialité, téléphone ou e-mail, sans RPPS) avec l'annuaire. Chaque ligne est
+ * cherchée par nom comme dans /api/search, puis chaque candidat reçoit une confiance
+ * (0-100) d'après les indices concordants : nom, prénom, localisation, spécialité,
+ * téléphone, e-mail. Utilisé par /api/reconcile.
+ */
+
+import { API_BASE, fhirFetch } from './fhir.js';
+import { parsePractitioner, isRoleCurrent } from './parsers.js';
+import { fetchRolesForPractitioners, mergePractitionersAndRoles, rolesCost } from './directory.js';
+import { normalizePhone, normalizeEmail } from './contacts.js';
+import { isTypo, specialtyTermsFor, matchesSpecialty } from './ranking.js';
+import { normalizeText } from './text.js';
+import { canAfford, truncate } from './trace.js';
+
+export const FIELDS = ['lastName', 'firstName', 'name', 'city', 'postalCode', 'specialty', 'phone', 'email'];
+
+// En-têtes reconnus (normalisés), par champ ; « Nom complet » / « Praticien » : prénom et nom mêlés
+const COLUMN_ALIASES = {
+  lastName: ['nom', 'nom de famille', 'nom d exercice', 'nom usuel', 'last name', 'lastname', 'family name', 'surname'],
+  firstName: ['prenom', 'prenoms', 'prenom d exercice', 'first name', 'firstname', 'given name'],
+  name: ['nom complet', 'nom prenom', 'prenom nom', 'praticien', 'medecin', 'contact', 'full name', 'name'],
+  city: ['ville', 'commune', 'localite', 'city', 'town'],
+  postalCode: ['code postal', 'cp', 'postal code', 'postcode', 'zip', 'zip code'],
+  specialty: ['specialite', 'specialites', 'profession', 'discipline', 'specialty', 'speciality'],
+  phone: ['telephone', 'tel', 'tel fixe', 'telephone fixe', 'portable', 'mobile', 'phone'],
+  email: ['email', 'e mail', 'mail', 'courriel', 'adresse email'],
+};
+
+const POINTS = {
+  lastName: { exact: 40, approx: 25 },
+  firstName: { exact: 25, initial: 15, approx: 10, mismatch: -15 },
+  location: { postalCode: 15, city: 15, department: 5, mismatch: -5 },
+  specialty: { match: 10, mismatch: -10 },
+  phone: { match: 25 },
+  email: { match: 25 },
+};
+
+export const MATCH_THRESHOLD = 70; // confiance à partir de laquelle un candidat unique est retenu d'office
+const AMBIGUITY_MARGIN = 15; // écart minimal avec le candidat suivant
+const MIN_CONFIDENCE = 30; // en dessous, le candidat n'est pas proposé
+const MAX_CANDIDATES = 5; // candidats renvoyés par ligne
+const MAX_LOADED = 10; // candidats par ligne dont les lieux d'exercice sont chargés
+const MAX_LOOKUPS = 3; // requêtes Practitioner au plus par ligne (variantes du nom, puis recherche approchée)
+const FLUSH_SIZE = 40; // candidats accumulés avant de charger leurs rôles (un lot PractitionerRole)
+const FUZZY_MIN_LENGTH = 4;
+
+// ─── Input ───
+
+/**
+ * En-têtes d'un fichier → { champ: en-tête } ; chaque en-tête sert au plus un champ,
+ * en priorité l'alias exact puis un en-tête qui commence par l'alias (« Téléphone cabinet »)
+ */
+export function mapColumns(headers) {
+  const normalized = headers.map(h => normalizeText(h));
+  const mapping = {};
+  const used = new Set();
+  for (const exact of [true, false]) {
+    for (const field of FIELDS) {
+      if (mapping[field]) continue;
+      const index = normalized.findIndex((h, i) => !used.has(i) && COLUMN_ALIASES[field].some(alias =>
+        exact ? h === alias : h.startsWith(`${alias} `)));
+      if (index >= 0) {
+        mapping[field] = headers[index];
+        used.add(index);
+      }
+    }
+  }
+  return mapping;
+}
+
+// Enregistrement d'origine { en-tête: valeur } → ligne { lastName, firstName, name, city, … } (champs vides : null)
+export function toCrmRow(values, mapping) {
+  return Object.fromEntries(FIELDS.map(field => {
+    const value = mapping[field] ? String(values[mapping[field]] ?? '').trim() : '';
+    return [field, value || null];
+  }));
+}
+
+// ─── Matching ───
+
+/**
+ * Rapproche des lignes CRM tant que le budget de sous-requêtes le permet.
+ * → { results: [{ status, reason?, confidence, candidates }], processed } dans l'ordre des lignes ;
+ * les lignes au-delà de `processed` sont à renvoyer dans un appel suivant.
+ */
+export async function reconcileRows(rows, env) {
+  const results = [];
+  let pending = []; // { index, practitioners } en attente du chargement des rôles
+  let processed = 0;
+
+  const flush = async () => {
+    if (!pending.length) return;
+    const practitioners = [...new Map(pending.flatMap(p => p.practitioners).map(p => [p.id, p])).values()];
+    const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
+    const merged = new Map(mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations).map(p => [p.id, p]));
+    for (const { index, practitioners: own } of pending) {
+      results[index] = classify(rows[index], own.map(p => merged.get(p.id)));
+    }
+    pending = [];
+  };
+
+  for (const row of rows) {
+    if (!row.lastName && !row.name) {
+      results[processed++] = { status: 'unmatched', reason: 'missing_name', confidence: 0, candidates: [] };
+      continue;
+    }
+    const loaded = pending.reduce((n, p) => n + p.practitioners.length, 0);
+    // Première ligne tentée quel que soit le budget : s'il manque, fhirFetch répond budget_exhausted
+    if (processed > 0 && !canAfford(env, MAX_LOOKUPS + rolesCost(loaded + MAX_LOADED))) {
+      truncate(env, 'subrequest_budget', `${rows.length - processed} ligne(s) à rapprocher dans un appel suivant`);
+      break;
+    }
+    const practitioners = await lookupByName(row, env);
+    pending.push({ index: processed++, practitioners });
+    if (loaded + practitioners.length >= FLUSH_SIZE) await flush();
+  }
+  await flush();
+
+  return { results, processed };
+}
+
+// Praticiens de la passerelle dont le nom ressemble à celui de la ligne (MAX_LOADED au plus, les plus proches d'abord)
+async function lookupByName(row, env) {
+  let entries = [];
+  for (const params of nameQueries(row)) {
+    const bundle = await fhirFetch(`${API_BASE}/Practitioner?${new URLSearchParams({ ...params, _count: '50' })}`, env);
+    entries = bundle.entry || [];
+    if (entries.length) break;
+  }
+  // Faute de frappe dans le nom : noms de famille partageant les premières lettres
+  const family = normalizeText(row.lastName || '').split(' ')[0];
+  if (!entries.length && family.length >= FUZZY_MIN_LENGTH) {
+    const prefix = family.slice(0, Math.max(FUZZY_MIN_LENGTH - 1, family.length - 2));
+    entries = (await fhirFetch(`${API_BASE}/Practitioner?${new URLSearchParams({ family: prefix, _count: '50' })}`, env)).entry || [];
+  }
+
+  return entries
+    .filter(e => e.resource?.resourceType === 'Practitioner')
+    .map(e => parsePractitioner(e.resource))
+    .map(p => ({ p, points: scoreName(row, p).points }))
+    .filter(c => c.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, MAX_LOADED)
+    .map(c => c.p);
+}
+
+// Requêtes Practitioner à essayer dans l'ordre, jusqu'à la première qui renvoie des praticiens
+function nameQueries({ lastName, firstName, name }) {
+  if (lastName) {
+    return firstName
+      ? [{ family: lastName, given: firstName.split(/[\s.-]+/).find(Boolean) }, { family: lastName }]
+      : [{ family: lastName }];
+  }
+  const parts = name.split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return [{ name }];
+  return [
+    { family: parts[0], given: parts.slice(1).join(' ') },
+    { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') },
+    { family: parts[0] },
+  ];
+}
+
+// ─── Scoring ───
+
+// Meilleur candidat retenu d'office, à vérifier (ex æquo ou confiance faible) ou aucun
+function classify(row, practitioners) {
+  const candidates = practitioners
+    .map(p => ({ ...toCandidate(p), ...scoreCandidate(row, p) }))
+    .filter(c => c.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || Number(b.active) - Number(a.active))
+    .slice(0, MAX_CANDIDATES);
+
+  const [best, second] = candidates;
+  if (!best) return { status: 'unmatched', reason: 'no_candidate', confidence: 0, candidates };
+  if (second && best.confidence - second.confidence < AMBIGUITY_MARGIN) {
+    return { status: 'review', reason: 'ambiguous', confidence: best.confidence, candidates };
+  }
+  if (best.confidence < MATCH_THRESHOLD) {
+    return { status: 'review', reason: 'low_confidence', confidence: best.confidence, candidates };
+  }
+  return { status: 'matched', confidence: best.confidence, candidates };
+}
+
+/**
+ * Confiance (0-100) d'un praticien fusionné pour une ligne, et indices relevés :
+ * { lastName: 'exact' | 'approx', firstName: 'exact' | 'initial' | 'approx' | 'mismatch',
+ *   location: 'postalCode' | 'city' | 'department' | 'mismatch', specialty, phone, email: 'match' | 'mismatch' }
+ */
+export function scoreCandidate(row, p) {
+  const { points: namePoints, evidence } = scoreName(row, p);
+  let points = namePoints;
+  const add = (field, kind) => {
+    if (!kind) return;
+    evidence[field] = kind;
+    points += POINTS[field][kind];
+  };
+
+  add('location', matchLocation(row, p));
+  add('specialty', matchSpecialty(row, p));
+  add('phone', row.phone && phoneTelecoms(p).some(t => t.value === normalizePhone(row.phone).value) ? 'match' : null);
+  add('email', row.email && practitionerEmails(p).includes(normalizeEmail(row.email).value) ? 'match' : null);
+
+  return { confidence: Math.max(0, Math.min(100, points)), evidence };
+}
+
+// Nom et prénom ; nom complet : découpage « Nom Prénom » ou « Prénom Nom », le meilleur des deux
+function scoreName({ lastName, firstName, name }, p) {
+  if (lastName) return scoreNameParts(lastName, firstName, p);
+  const parts = name.split(/\s+/).filter(Boolean);
+  const splits = parts.length < 2
+    ? [[name, null]]
+    : [[parts[0], parts.slice(1).join(' ')], [parts[parts.length - 1], parts.slice(0, -1).join(' ')]];
+  return splits
+    .map(([last, first]) => scoreNameParts(last, first, p))
+    .reduce((best, current) => (current.points > best.points ? current : best));
+}
+
+function scoreNameParts(lastName, firstName, p) {
+  const evidence = {};
+  const last = compareWords(lastName, p.lastName);
+  if (last !== 'exact' && last !== 'approx') return { points: 0, evidence };
+  evidence.lastName = last;
+  let points = POINTS.lastName[last];
+
+  if (firstName) {
+    const first = compareWords(firstName, p.firstName) || 'mismatch';
+    evidence.firstName = first === 'prefix' ? 'initial' : first;
+    points += POINTS.firstName[evidence.firstName];
+  }
+  return { points, evidence };
+}
+
+/**
+ * Chaque mot saisi retrouvé parmi les mots du champ : 'exact' ; l'un seulement en
+ * début de mot (initiale « J. ») : 'prefix' ; avec une faute de frappe : 'approx' ; sinon null
+ */
+function compareWords(input, value) {
+  const tokens = normalizeText(input).split(' ').filter(Boolean);
+  const words = normalizeText(value).split(' ').filter(Boolean);
+  if (!tokens.length || !words.length) return null;
+
+  const kinds = tokens.map(token =>
+    words.includes(token) ? 'exact'
+      : words.some(word => word.startsWith(token)) ? 'prefix'
+      : words.some(word => isTypo(token, word)) ? 'approx'
+      : null);
+  if (kinds.includes(null)) return null;
+  if (kinds.includes('approx')) return 'approx';
+  return kinds.includes('prefix') ? 'prefix' : 'exact';
+}
+
+// Code postal ou commune d'un lieu d'exercice ; même département à défaut
+function matchLocation({ city, postalCode }, p) {
+  if (!city && !postalCode) return null;
+  const orgs = (p.roles || []).map(r => r.organization).filter(Boolean);
+  if (!orgs.length) return null;
+
+  const postal = (postalCode || '').replace(/\s/g, '');
+  const wanted = normalizeText(city);
+  if (postal && orgs.some(o => o.postalCode === postal)) return 'postalCode';
+  if (wanted && orgs.some(o => normalizeText(o.city) === wanted)) return 'city';
+  if (postal.length === 5 && orgs.some(o => o.postalCode?.slice(0, 2) === postal.slice(0, 2))) return 'department';
+  return 'mismatch';
+}
+
+function matchSpecialty({ specialty }, p) {
+  if (!specialty) return null;
+  const terms = specialtyTermsFor(specialty);
+  const professions = (p.roles || []).map(r => normalizeText(r.profession?.display)).filter(Boolean);
+  if (matchesSpecialty(p, terms) || professions.some(label => terms.some(term => label.includes(term)))) return 'match';
+  return p.qualifications?.length || professions.length ? 'mismatch' : null;
+}
+
+// Téléphones du praticien, de ses lieux d'exercice puis de leurs structures
+function phoneTelecoms(p) {
+  const telecoms = [
+    ...(p.contacts || p.telecoms || []),
+    ...(p.roles || []).flatMap(r => [...(r.telecoms || []), ...(r.organization?.telecoms || [])]),
+  ];
+  return telecoms.filter(t => t.system === 'phone' && t.valid !== false);
+}
+
+function practitionerEmails(p) {
+  return [
+    ...(p.contacts || p.telecoms || []).filter(t => t.system === 'email').map(t => t.value),
+    ...(p.mssMailboxes || []).map(m => m.address),
+    ...(p.roles || []).flatMap(r => (r.mssMailboxes || []).map(m => m.address)),
+  ].filter(Boolean).map(address => normalizeEmail(address).value);
+}
+
+// ─── Output ───
+
+// Candidat : identité, activité, adresses des lieux d'exercice en cours et coordonnées principales
+function toCandidate(p) {
+  const roles = p.roles || [];
+  const current = roles.filter(r => isRoleCurrent(r));
+  const addresses = [...new Map(current
+    .filter(r => r.organization)
+    .map(r => [r.organization.id, {
+      organization: r.organization.name || null,
+      street: r.organization.street || null,
+      postalCode: r.organization.postalCode || null,
+      city: r.organization.city || null,
+    }])).values()];
+
+  return {
+    id: p.id,
+    rpps: p.rpps,
+    adeli: p.identifiers?.find(i => i.type === 'ADELI')?.value || null,
+    prefix: p.prefix,
+    firstName: p.firstName,
+    lastName: p.lastName,
+    active: p.active !== false && current.length > 0,
+    profession: roles.find(r => r.profession)?.profession?.display || null,
+    specialties: [...new Set(roles.flatMap(r => r.specialties || []))],
+    addresses,
+    phone: phoneTelecoms(p)[0]?.display || null,
+    email: practitionerEmails(p)[0] || null,
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Référentiel des spécialités ordinales (TRE-R38-SpecialiteOrdinale) et des
+ * professions de santé (TRE-G15-ProfessionSante) — source unique pour l'API
+ * et le frontend (servi par /api/specialties)
+ * Source: https://interop.esante.gouv.fr/ig/nos/
+ */
+
+import { HttpError } from './http.js';
+import { normalizeText } from './text.js';
+
+export const SPECIALTY_SYSTEM = 'https://mos.esante.gouv.fr/NOS/TRE_R38-SpecialiteOrdinale/FHIR/TRE-R38-SpecialiteOrdinale';
+export const PROFESSION_SYSTEM = 'https://mos.esante.gouv.fr/NOS/TRE_G15-ProfessionSante/FHIR/TRE-G15-ProfessionSante';
+
+// ─── Referential ───
+
+const SPECIALTIES = [
+  { label: 'Allergologie', code: 'SM57', synonyms: ['Allergologue'] },
+  { label: 'Anatomie et Cytologie pathologiques', code: 'SM01', synonyms: ['Anatomopathologiste', 'Anapath'] },
+  { label: 'Anesthésie-réanimation', code: 'SM02', synonyms: ['Anesthésiste'] },
+  { label: 'Biologie médicale', code: 'SM03', synonyms: ['Biologiste'] },
+  { label: 'Cardiologie et Maladies vasculaires', code: 'SM04', synonyms: ['Cardiologue', 'Cardiologie'] },
+  { label: 'Chirurgie générale', code: 'SM05', synonyms: ['Chirurgien'] },
+  { label: 'Chirurgie infantile', code: 'SM09', synonyms: ['Chirurgie pédiatrique'] },
+  { label: 'Chirurgie maxillo-faciale', code: 'SM06' },
+  { label: 'Chirurgie maxillo-faciale et Stomatologie', code: 'SM07' },
+  { label: 'Chirurgie orale', code: 'SM56' },
+  { label: 'Chirurgie orthopédique et Traumatologie', code: 'SM08', synonyms: ['Orthopédiste', 'Chirurgien orthopédiste'] },
+  { label: 'Chirurgie plastique reconstructrice et esthétique', code: 'SM10', synonyms: ['Chirurgien esthétique'] },
+  { label: 'Chirurgie thoracique et cardio-vasculaire', code: 'SM11' },
+  { label: 'Chirurgie urologique', code: 'SM12', synonyms: ['Urologue', 'Urologie'] },
+  { label: 'Chirurgie vasculaire', code: 'SM13' },
+  { label: 'Chirurgie viscérale et digestive', code: 'SM14' },
+  { label: 'Dermatologie et Vénéréologie', code: 'SM15', synonyms: ['Dermatologue', 'Dermatologie'] },
+  { label: 'Endocrinologie et Métabolisme', code: 'SM16' },
+  { label: 'Endocrinologie, diabétologie, nutrition', code: 'SM62', synonyms: ['Endocrinologue', 'Diabétologue'] },
+  { label: 'Gastro-entérologie et Hépatologie', code: 'SM24', synonyms: ['Gastro-entérologue', 'Gastro'] },
+  { label: 'Génétique médicale', code: 'SM17', synonyms: ['Généticien'] },
+  { label: 'Gériatrie', code: 'SM18', synonyms: ['Gériatre', 'Gérontologie', 'Gérontologue'] },
+  { label: 'Gynécologie médicale', code: 'SM19', synonyms: ['Gynécologue'] },
+  { label: 'Gynécologie-obstétrique', code: 'SM20', synonyms: ['Obstétricien'] },
+  { label: 'Hématologie', code: 'SM21', synonyms: ['Hématologue'] },
+  { label: 'Maladies infectieuses et tropicales', code: 'SM58', synonyms: ['Infectiologue'] },
+  { label: 'Médecine cardiovasculaire', code: 'SM73' },
+  { label: "Médecine d'urgence", code: 'SM59', synonyms: ['Urgentiste'] },
+  { label: 'Médecine du travail', code: 'SM25', synonyms: ['Médecin du travail'] },
+  { label: 'Médecine générale', code: 'SM54', synonyms: ['Généraliste', 'Médecin généraliste', 'Médecin traitant'] },
+  { label: 'Médecine intensive-réanimation', code: 'SM46', synonyms: ['Réanimateur'] },
+  { label: 'Médecine interne', code: 'SM27', synonyms: ['Interniste'] },
+  { label: 'Médecine interne et immunologie clinique', code: 'SM72' },
+  { label: 'Médecine légale et expertises médicales', code: 'SM60', synonyms: ['Médecin légiste'] },
+  { label: 'Médecine nucléaire', code: 'SM28' },
+  { label: 'Médecine physique et de réadaptation', code: 'SM29', synonyms: ['MPR'] },
+  { label: 'Médecine vasculaire', code: 'SM61', synonyms: ['Angiologue', 'Phlébologue'] },
+  { label: 'Néphrologie', code: 'SM30', synonyms: ['Néphrologue'] },
+  { label: 'Neuro-chirurgie', code: 'SM31', synonyms: ['Neurochirurgien'] },
+  { label: 'Neurologie', code: 'SM32', synonyms: ['Neurologue'] },
+  { label: 'ORL et Chirurgie cervico-faciale', code: 'SM34' },
+  { label: 'Oncologie, option médicale', code: 'SM36', synonyms: ['Oncologue', 'Cancérologue'] },
+  { label: 'Oncologie, option radiothérapie', code: 'SM37' },
+  { label: 'Ophtalmologie', code: 'SM38', synonyms: ['Ophtalmologue', 'Ophtalmo'] },
+  { label: 'Orthopédie dento-faciale', code: 'SCD01', synonyms: ['Orthodontiste', 'Orthodontie'] },
+  { label: 'Oto-rhino-laryngologie', code: 'SM39', synonyms: ['ORL', 'Oto-rhino-laryngologiste'] },
+  { label: 'Pédiatrie', code: 'SM40', synonyms: ['Pédiatre'] },
+  { label: 'Pneumologie', code: 'SM41', synonyms: ['Pneumologue'] },
+  { label: 'Psychiatrie', code: 'SM42', synonyms: ['Psychiatre'] },
+  { label: 'Psychiatrie, option enfant et adolescent', code: 'SM43', synonyms: ['Pédopsychiatre'] },
+  { label: 'Radiologie et imagerie médicale', code: 'SM74', synonyms: ['Radiologue', 'Radiologie'] },
+  { label: 'Radio-diagnostic', code: 'SM44' },
+  { label: 'Radio-thérapie', code: 'SM45', synonyms: ['Radiothérapeute'] },
+  { label: 'Rhumatologie', code: 'SM48', synonyms: ['Rhumatologue'] },
+  { label: 'Santé publique', code: 'SM75' },
+  { label: 'Santé publique et Médecine sociale', code: 'SM49' },
+  { label: 'Stomatologie', code: 'SM50', synonyms: ['Stomatologue'] },
+  { label: 'Médecine bucco-dentaire', code: 'SCD03' },
+];
+
+const PROFESSIONS = [
+  { label: 'Médecin', code: '10' },
+  { label: 'Pharmacien', code: '21' },
+  { label: 'Audioprothésiste', code: '26' },
+  { label: 'Opticien-lunetier', code: '28', synonyms: ['Opticien'] },
+  { label: 'Chirurgien-dentiste', code: '40', synonyms: ['Dentiste'] },
+  { label: 'Sage-femme', code: '50', synonyms: ['Maïeuticien'] },
+  { label: 'Infirmier', code: '60', synonyms: ['Infirmière', 'IDE'] },
+  { label: 'Masseur-kinésithérapeute', code: '70', synonyms: ['Kinésithérapeute', 'Kiné'] },
+  { label: 'Pédicure-podologue', code: '80', synonyms: ['Podologue'] },
+  { label: 'Orthoprothésiste', code: '81' },
+  { label: 'Podo-orthésiste', code: '82' },
+  { label: 'Orthopédiste-orthésiste', code: '83' },
+  { label: 'Oculariste', code: '84' },
+  { label: 'Épithésiste', code: '85' },
+  { label: 'Technicien de laboratoire médical', code: '86' },
+  { label: 'Orthophoniste', code: '91' },
+  { label: 'Orthoptiste', code: '92' },
+  { label: 'Psychologue', code: '93' },
+  { label: 'Ergothérapeute', code: '94' },
+  { label: 'Diététicien', code: '95', synonyms: ['Diététicienne'] },
+  { label: 'Psychomotricien', code: '96' },
+  { label: 'Manipulateur en électroradiologie médicale', code: '98', synonyms: ['Manipulateur radio', 'MERM'] },
+];
+
+export const REFERENTIAL = [
+  ...SPECIALTIES.map(s => toEntry(s, 'specialty', SPECIALTY_SYSTEM)),
+  ...PROFESSIONS.map(p => toEntry(p, 'profession', PROFESSION_SYSTEM)),
+];
+
+function toEntry({ label, code, synonyms = [] }, kind, system) {
+  return { code, label, kind, system, synonyms };
+}
+
+// Formes normalisées calculées une fois (libellé + synonymes)
+const SEARCH_TERMS = new Map(REFERENTIAL.map(entry => [
+  entry,
+  [entry.label, ...entry.synonyms].map(normalizeText),
+]));
+
+// ─── Lookup ───
+
+/**
+ * Entrée correspondant exactement à un code (SM54, 60…) ou à un libellé /
+ * synonyme, sans tenir compte des accents ni de la casse. null sinon.
+ */
+export function findSpecialty(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  const byCode = REFERENTIAL.find(e => e.code.toUpperCase() === raw.toUpperCase());
+  if (byCode) return byCode;
+  const wanted = normalizeText(raw);
+  return REFERENTIAL.find(e => SEARCH_TERMS.get(e).includes(wanted)) || null;
+}
+
+// Comme findSpecialty, mais un code inconnu est une erreur client
+export function requireSpecialty(code) {
+  const entry = findSpecialty(code);
+  if (!entry) throw new HttpError(400, `Spécialité ou profession inconnue : ${code}`, 'unknown_specialty');
+  return entry;
+}
+
+/**
+ * Entrées dont le libellé ou un synonyme contient la requête.
+ * Classement : terme exact, puis début de mot, puis sous-chaîne ; ordre du référentiel ensuite.
+ */
+export function matchSpecialties(query, { kind = null, limit = 0 } = {}) {
+  const wanted = normalizeText(query);
+  const entries = REFERENTIAL.filter(e => !kind || e.kind === kind);
+  if (!wanted) return limit ? entries.slice(0, limit) : entries;
+
+  const scored = [];
+  for (const entry of entries) {
+    let best = 0;
+    for (const term of SEARCH_TERMS.get(entry)) {
+      if (term === wanted) best = Math.max(best, 3);
+      else if (term.startsWith(wanted) || term.includes(` ${wanted}`)) best = Math.max(best, 2);
+      else if (term.includes(wanted)) best = Math.max(best, 1);
+    }
+    if (best) scored.push({ entry, best });
+  }
+  scored.sort((a, b) => b.best - a.best);
+  const results = scored.map(s => s.entry);
+  return limit ? results.slice(0, limit) : results;
+}
+
+// ─── FHIR routing ───
+
+// Valeur token system|code, pour qualification-code (Practitioner) comme pour role (PractitionerRole)
+export function specialtyToken(entry) {
+  return `${entry.system}|${entry.code}`;
+}
@@ -0,0 +1,49 @@
+/**
+ * Réponses NDJSON : un objet JSON par ligne, envoyé dès qu'il est prêt
+ * Utilisé par /api/search en mode flux (?stream=1 ou Accept: application/x-ndjson)
+ */
+
+export const NDJSON_TYPE = 'application/x-ndjson';
+
+export function wantsNdjson(request) {
+  const params = new URL(request.url).searchParams;
+  return ['1', 'true'].includes(params.get('stream')) || (request.headers.get('Accept') || '').includes(NDJSON_TYPE);
+}
+
+/**
+ * Flux d'écriture : write(record) n'attend pas le lecteur (les lignes s'accumulent),
+ * `opened` se résout au premier enregistrement, `cancelled` passe à true si le client abandonne
+ */
+export function createNdjsonStream() {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  let markOpened;
+
+  const stream = {
+    started: false,
+    cancelled: false,
+    closed: false,
+    opened: new Promise(resolve => { markOpened = resolve; }),
+
+    write(record) {
+      if (stream.closed || stream.cancelled) return;
+      stream.started = true;
+      markOpened();
+      writer.write(encoder.encode(`${JSON.stringify(record)}\n`)).catch(() => { stream.cancelled = true; });
+    },
+
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      writer.close().catch(() => { stream.cancelled = true; });
+    },
+
+    response(headers = {}) {
+      return new Response(readable, {
+        headers: { 'Content-Type': `${NDJSON_TYPE}; charset=utf-8`, 'Cache-Control': 'no-store', ...headers },
+      });
+    },
+  };
+  return stream;
+}
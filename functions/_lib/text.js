@@ -0,0 +1,20 @@
+/**
+ * Normalisation de texte pour les comparaisons (noms, villes, spécialités)
+ */
+
+// Abréviations courantes des noms de communes (St Étienne, Ste Foy…)
+const ABBREVIATIONS = { st: 'saint', ste: 'sainte', sts: 'saints', stes: 'saintes' };
+
+// Minuscules, sans accents, tirets/apostrophes → espaces, abréviations développées
+export function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[-'\u2019_.,/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
@@ -0,0 +1,125 @@
+/**
+ * Traçage par requête : identifiant, journal JSON de chaque appel sortant
+ * (passerelle FHIR, geo.api.gouv.fr, Base Adresse Nationale), en-tête Server-Timing et budget de sous-requêtes
+ *
+ * Cloudflare limite le nombre de sous-requêtes par invocation (50 en offre gratuite,
+ * SUBREQUEST_LIMIT pour un autre plan). Les stratégies consultent le budget avant
+ * chaque lot et marquent la réponse `truncated` au lieu d'abandonner des structures
+ * ou des praticiens sans le dire. La trace est créée par le middleware /api et
+ * transmise dans env.trace (voir withCache) ; sans trace, aucun plafond n'est appliqué.
+ */
+
+export const DEFAULT_SUBREQUEST_LIMIT = 50;
+const RESERVED_SUBREQUESTS = 5; // écritures de cache (waitUntil) et marge
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+export function createTrace({ requestId = null, limit = DEFAULT_SUBREQUEST_LIMIT } = {}) {
+  const trace = {
+    id: REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID(),
+    startedAt: Date.now(),
+    budget: Math.max(1, limit - RESERVED_SUBREQUESTS),
+    used: 0,
+    calls: [],
+    truncated: null, // { reason, detail }
+
+    canAfford(n = 1) {
+      return trace.used + n <= trace.budget;
+    },
+
+    // Réserve une sous-requête ; false si le budget est épuisé
+    take() {
+      if (!trace.canAfford(1)) return false;
+      trace.used++;
+      return true;
+    },
+
+    record(call) {
+      trace.calls.push(call);
+      log({ event: 'subrequest', requestId: trace.id, ...call });
+    },
+
+    // reason : subrequest_budget | roles_page_limit ; la première raison est gardée
+    truncate(reason, detail = null) {
+      if (trace.truncated) return;
+      trace.truncated = { reason, detail };
+      log({ event: 'truncated', requestId: trace.id, reason, detail, used: trace.used, budget: trace.budget });
+    },
+  };
+  return trace;
+}
+
+// ─── Helpers for callers holding env ───
+
+export function canAfford(env, n = 1) {
+  return !env.trace || env.trace.canAfford(n);
+}
+
+export function truncate(env, reason, detail) {
+  env.trace?.truncate(reason, detail);
+}
+
+// Chronomètre un appel sortant et le journalise (url sans clé : elle passe en en-tête)
+export async function traceCall(env, kind, url, attempt, fn) {
+  const start = Date.now();
+  let status = null;
+  try {
+    const res = await fn();
+    status = res.status;
+    return res;
+  } catch (err) {
+    status = err?.name === 'AbortError' ? 'timeout' : 'network_error';
+    throw err;
+  } finally {
+    env.trace?.record({ kind, url: shortUrl(url), status, ms: Date.now() - start, attempt });
+  }
+}
+
+// Champs à ajouter au corps JSON d'une réponse tronquée
+export function truncationFields(trace) {
+  if (!trace?.truncated) return {};
+  return { truncated: true, truncatedReason: trace.truncated.reason };
+}
+
+// ─── Response headers & logs ───
+
+// Server-Timing : durée cumulée et nombre d'appels par service, puis durée totale
+export function serverTiming(trace) {
+  const byKind = {};
+  for (const call of trace.calls) {
+    byKind[call.kind] ||= { count: 0, ms: 0 };
+    byKind[call.kind].count++;
+    byKind[call.kind].ms += call.ms;
+  }
+  const parts = Object.entries(byKind).map(([kind, { count, ms }]) => `${kind};dur=${ms};desc="${count} appel${count > 1 ? 's' : ''}"`);
+  parts.push(`total;dur=${Date.now() - trace.startedAt}`);
+  return parts.join(', ');
+}
+
+export function logRequest(trace, request, response) {
+  const url = new URL(request.url);
+  log({
+    event: 'request',
+    requestId: trace.id,
+    method: request.method,
+    path: url.pathname,
+    status: response.status,
+    ms: Date.now() - trace.startedAt,
+    subrequests: trace.used,
+    budget: trace.budget,
+    cache: response.headers.get('X-Cache-Status'),
+    truncated: trace.truncated?.reason || undefined,
+  });
+}
+
+function log(entry) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+}
+
+function shortUrl(url) {
+  try {
+    const { hostname, pathname, search } = new URL(url);
+    return `${hostname}${pathname}${search}`.slice(0, 300);
+  } catch {
+    return String(url).slice(0, 300);
+  }
+}
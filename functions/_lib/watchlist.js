@@ -0,0 +1,299 @@
+/**
+ * Liste de surveillance : praticiens suivis par RPPS, instantané de leur fiche
+ * (/api/practitioner) et détection des changements à chaque passage planifié
+ * Backend : KV (binding WATCHLIST) si présent, sinon Map en mémoire (dev local)
+ *
+ * Clés : watch:index (RPPS suivis), watch:entry:<rpps> (instantané), watch:changes (flux)
+ */
+
+import { API_BASE, RPPS_SYSTEM, fhirFetch } from './fhir.js';
+import { HttpError } from './http.js';
+import { fetchPractitionerDetail } from './directory.js';
+import { canAfford, truncate } from './trace.js';
+import { normalizeTelecomKey } from './contacts.js';
+
+const RPPS_PATTERN = /^\d{11}$/;
+const MAX_WATCHED = 500; // lectures KV par passage : 1 par praticien suivi
+const MAX_CHANGES = 1000; // événements conservés dans le flux
+const DEFAULT_RUN_SIZE = 20; // 1 + 2 × 20 sous-requêtes par passage, sous la limite de 50
+const LOOKUP_BATCH = 50;
+
+// ─── Registration ───
+
+export async function listWatched(env) {
+  const store = watchStore(env);
+  const index = await store.get('watch:index') || [];
+  const entries = await Promise.all(index.map(rpps => store.get(`watch:entry:${rpps}`)));
+  return entries.filter(Boolean).map(summarizeEntry);
+}
+
+/**
+ * Ajoute des RPPS à la surveillance ; l'instantané de référence est pris tout de suite
+ * pour les `snapshotNow` premiers, les autres au prochain passage
+ */
+export async function watchPractitioners(rppsList, env, { snapshotNow = DEFAULT_RUN_SIZE } = {}) {
+  const valid = [...new Set(rppsList.map(v => String(v ?? '').replace(/\s/g, '')).filter(v => RPPS_PATTERN.test(v)))];
+  if (!valid.length) throw new HttpError(400, 'Aucun numéro RPPS valide fourni', 'bad_request');
+
+  const store = watchStore(env);
+  const index = await store.get('watch:index') || [];
+  const added = valid.filter(rpps => !index.includes(rpps));
+  if (index.length + added.length > MAX_WATCHED) {
+    throw new HttpError(413, `Maximum ${MAX_WATCHED} praticiens surveillés`, 'watchlist_full');
+  }
+
+  const now = new Date().toISOString();
+  const records = await fetchRecords(added.slice(0, snapshotNow), env);
+  for (const rpps of added) {
+    const snapshotted = !!records.get(rpps);
+    await store.put(`watch:entry:${rpps}`, {
+      rpps,
+      addedAt: now,
+      checkedAt: snapshotted ? now : null,
+      lastChangeAt: null,
+      snapshot: snapshotted ? snapshotRecord(records.get(rpps)) : null,
+    });
+  }
+  await store.put('watch:index', [...index, ...added]);
+
+  return { added, alreadyWatched: valid.filter(rpps => index.includes(rpps)) };
+}
+
+export async function unwatchPractitioner(rpps, env) {
+  const store = watchStore(env);
+  const index = await store.get('watch:index') || [];
+  if (!index.includes(rpps)) throw new HttpError(404, 'RPPS non surveillé', 'not_watched');
+  await store.put('watch:index', index.filter(r => r !== rpps));
+  await store.delete(`watch:entry:${rpps}`);
+}
+
+// ─── Scheduled run ───
+
+/**
+ * Revérifie les praticiens les moins récemment contrôlés (runSize par passage),
+ * enregistre les différences dans le flux. Appelé par le Cron Trigger (worker/)
+ * ou manuellement via POST /api/watchlist?action=run
+ */
+export async function runWatchlist(env, { runSize = Number(env.WATCH_RUN_SIZE) || DEFAULT_RUN_SIZE } = {}) {
+  const store = watchStore(env);
+  const index = await store.get('watch:index') || [];
+  const entries = (await Promise.all(index.map(rpps => store.get(`watch:entry:${rpps}`)))).filter(Boolean);
+
+  // Jamais vérifiés d'abord, puis les plus anciens
+  const due = entries
+    .sort((a, b) => (a.checkedAt || '').localeCompare(b.checkedAt || ''))
+    .slice(0, runSize);
+  if (!due.length) return { checked: 0, changed: 0, events: [] };
+
+  const now = new Date().toISOString();
+  const records = await fetchRecords(due.map(e => e.rpps), env);
+  const events = [];
+
+  for (const entry of due) {
+    // Pas chargé faute de budget : reste prioritaire pour le prochain passage
+    if (!records.has(entry.rpps)) continue;
+    const record = records.get(entry.rpps);
+    const snapshot = record ? snapshotRecord(record) : null;
+
+    if (entry.snapshot || entry.checkedAt) {
+      const changes = diffSnapshots(entry.snapshot, snapshot);
+      if (changes.length) {
+        events.push({
+          id: `${now}:${entry.rpps}`,
+          at: now,
+          rpps: entry.rpps,
+          name: displayName(snapshot || entry.snapshot),
+          changes,
+        });
+        entry.lastChangeAt = now;
+      }
+    }
+
+    entry.snapshot = snapshot;
+    entry.checkedAt = now;
+    await store.put(`watch:entry:${entry.rpps}`, entry);
+  }
+
+  if (events.length) {
+    const feed = await store.get('watch:changes') || [];
+    await store.put('watch:changes', [...events.reverse(), ...feed].slice(0, MAX_CHANGES));
+  }
+
+  const checked = due.filter(e => records.has(e.rpps)).length;
+  return { checked, skipped: due.length - checked, changed: events.length, events };
+}
+
+// Événements postérieurs à `since` (ISO), du plus récent au plus ancien
+export async function listChanges(env, { since = null, rpps = null, limit = 100 } = {}) {
+  const feed = await watchStore(env).get('watch:changes') || [];
+  return feed
+    .filter(e => (!since || e.at > since) && (!rpps || e.rpps === rpps))
+    .slice(0, limit);
+}
+
+// ─── Fetching ───
+
+/**
+ * RPPS → fiche complète (comme /api/practitioner), null si absent de l'annuaire.
+ * Les RPPS non chargés faute de budget de sous-requêtes n'ont pas d'entrée.
+ */
+async function fetchRecords(rppsList, env) {
+  const records = new Map();
+  for (let i = 0; i < rppsList.length; i += LOOKUP_BATCH) {
+    // Recherche par identifiant + 2 sous-requêtes par fiche
+    if (!canAfford(env, 3)) {
+      truncate(env, 'subrequest_budget', 'fiches restantes vérifiées au prochain passage');
+      break;
+    }
+    const batch = rppsList.slice(i, i + LOOKUP_BATCH);
+    const params = new URLSearchParams();
+    params.set('identifier', batch.map(rpps => `${RPPS_SYSTEM}|${rpps}`).join(','));
+    params.set('_elements', 'id,identifier');
+    params.set('_count', String(batch.length * 2));
+
+    const bundle = await fhirFetch(`${API_BASE}/Practitioner?${params}`, env);
+    for (const entry of bundle.entry || []) {
+      const rpps = entry.resource?.identifier?.find(id => id.system === RPPS_SYSTEM)?.value;
+      if (!rpps || !batch.includes(rpps) || records.has(rpps)) continue;
+      if (!canAfford(env, 2)) {
+        truncate(env, 'subrequest_budget', 'fiches restantes vérifiées au prochain passage');
+        return records;
+      }
+      records.set(rpps, await fetchPractitionerDetail(entry.resource.id, env));
+    }
+    for (const rpps of batch) {
+      if (!records.has(rpps)) records.set(rpps, null);
+    }
+  }
+  return records;
+}
+
+// ─── Snapshots & diffs ───
+
+// Forme stable et comparable de la fiche : rôles et structures indexés par id, listes triées
+export function snapshotRecord(p) {
+  const roles = {};
+  const organizations = {};
+  const telecoms = new Set();
+
+  // Coordonnées portées par la ressource Practitioner elle-même
+  for (const t of p.telecoms || []) telecoms.add(`${t.system}:${t.value}`);
+  for (const m of p.mssMailboxes || []) telecoms.add(`email:${m.address}`);
+
+  for (const role of p.roles || []) {
+    roles[role.id] = {
+      active: role.active,
+      organizationId: role.organizationId || null,
+      specialties: [...(role.specialties || [])].sort(),
+    };
+    for (const t of role.telecoms || []) telecoms.add(`${t.system}:${t.value}`);
+    // Boîtes MSSanté séparées des e-mails par parsers.js : même clé qu'avant la séparation
+    for (const m of role.mssMailboxes || []) telecoms.add(`email:${m.address}`);
+
+    const org = role.organization;
+    if (org) {
+      organizations[org.id] = { name: org.name, address: org.address, active: org.active };
+      for (const t of org.telecoms || []) telecoms.add(`${t.system}:${t.value}`);
+    }
+  }
+
+  return {
+    identity: {
+      id: p.id,
+      lastName: p.lastName,
+      firstName: p.firstName,
+      prefix: p.prefix,
+      active: p.active,
+      qualifications: (p.qualifications || []).map(q => q.display || q.code).filter(Boolean).sort(),
+    },
+    roles,
+    organizations,
+    telecoms: [...telecoms].sort(),
+  };
+}
+
+/**
+ * Différences champ par champ : { category, path, before, after } pour les valeurs,
+ * { category, path, added, removed } pour les listes (téléphones, spécialités…)
+ */
+export function diffSnapshots(before, after) {
+  if (!before && !after) return [];
+  if (!before || !after) {
+    return [{ category: 'identity', path: 'identity', before: before ? 'présent' : 'absent', after: after ? 'présent' : 'absent' }];
+  }
+  // Instantanés antérieurs à la normalisation des coordonnées : comparés sous leur forme normalisée
+  const previous = { ...before, telecoms: [...new Set((before.telecoms || []).map(normalizeTelecomKey))].sort() };
+  const changes = [];
+  diffValues(previous, after, [], changes);
+  return changes;
+}
+
+function diffValues(a, b, path, changes) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = new Set(a || []);
+    const right = new Set(b || []);
+    const added = [...right].filter(v => !left.has(v));
+    const removed = [...left].filter(v => !right.has(v));
+    if (added.length || removed.length) changes.push({ category: path[0], path: path.join('.'), added, removed });
+    return;
+  }
+  if (isObject(a) && isObject(b)) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diffValues(a[key], b[key], [...path, key], changes);
+    }
+    return;
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) {
+    changes.push({ category: path[0], path: path.join('.'), before: a ?? null, after: b ?? null });
+  }
+}
+
+function isObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function displayName(snapshot) {
+  const identity = snapshot?.identity || {};
+  return [identity.prefix, identity.firstName, identity.lastName].filter(Boolean).join(' ');
+}
+
+function summarizeEntry(entry) {
+  return {
+    rpps: entry.rpps,
+    name: displayName(entry.snapshot),
+    active: entry.snapshot ? entry.snapshot.identity.active : null,
+    addedAt: entry.addedAt,
+    checkedAt: entry.checkedAt,
+    lastChangeAt: entry.lastChangeAt,
+  };
+}
+
+// ─── Stores ───
+
+function watchStore(env) {
+  if (env.WATCHLIST) return kvStore(env.WATCHLIST);
+  return memoryStore;
+}
+
+function kvStore(kv) {
+  return {
+    get: key => kv.get(key, 'json'),
+    put: (key, value) => kv.put(key, JSON.stringify(value)),
+    delete: key => kv.delete(key),
+  };
+}
+
+// JSON sérialisé : les instantanés ne sont pas mutables par les appelants
+const memoryEntries = new Map();
+const memoryStore = {
+  async get(key) {
+    const json = memoryEntries.get(key);
+    return json ? JSON.parse(json) : null;
+  },
+  async put(key, value) {
+    memoryEntries.set(key, JSON.stringify(value));
+  },
+  async delete(key) {
+    memoryEntries.delete(key);
+  },
+};
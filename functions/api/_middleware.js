@@ -0,0 +1,106 @@
+/**
+ * Cloudflare Pages Function — middleware de toutes les routes /api/*
+ * Vérification de la configuration, CORS (ALLOWED_ORIGINS), clés consommateurs
+ * (en-tête X-API-Key), limitation de débit par clé ou par IP, et traçage :
+ * X-Request-Id, Server-Timing et journal JSON de la requête (voir trace.js)
+ */
+
+import { HttpError, corsHeaders, errorResponse } from '../_lib/http.js';
+import { readConfig } from '../_lib/config.js';
+import { takeToken, rateLimitHeaders } from '../_lib/ratelimit.js';
+import { createTrace, serverTiming, logRequest } from '../_lib/trace.js';
+
+const EXPOSED_HEADERS = [
+  'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+  'X-Request-Id', 'Server-Timing',
+];
+// Méthodes annoncées au préflight ; chaque fonction répond 405 à celles qu'elle ne gère pas
+const PREFLIGHT_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const requestId = request.headers.get('X-Request-Id') || request.headers.get('CF-Ray');
+  let trace = null;
+  let origin = null;
+  let response;
+
+  try {
+    const config = readConfig(env);
+    trace = createTrace({ requestId, limit: config.subrequestLimit });
+    context.data.trace = trace;
+    origin = corsOrigin(request, config);
+    response = await handle(context, config);
+  } catch (err) {
+    response = errorResponse(err);
+  }
+
+  trace ||= createTrace({ requestId }); // configuration invalide : identifiant seulement
+  response = withHeaders(response, { 'X-Request-Id': trace.id, 'Server-Timing': serverTiming(trace) });
+  logRequest(trace, request, response);
+  return withCors(response, origin);
+}
+
+async function handle(context, config) {
+  const { request } = context;
+
+  // Préflight (origine déjà vérifiée) : ni clé ni jeton consommé, et toutes les
+  // fonctions n'ont pas de branche OPTIONS
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: corsHeaders(PREFLIGHT_METHODS) });
+  }
+
+  const client = identifyClient(request, config);
+  context.data.client = client;
+
+  const limit = takeToken(client.id, client.limit);
+  if (!limit.allowed) {
+    const err = new HttpError(429, `Limite de ${client.limit} requêtes par minute atteinte`, 'too_many_requests');
+    return withHeaders(errorResponse(err), rateLimitHeaders(limit));
+  }
+
+  return withHeaders(await context.next(), rateLimitHeaders(limit));
+}
+
+// ─── Access ───
+
+// Valeur d'Access-Control-Allow-Origin, null si inutile (même origine, appel serveur à serveur)
+function corsOrigin(request, config) {
+  const origin = request.headers.get('Origin');
+  if (!origin || origin === new URL(request.url).origin) return null;
+  if (config.allowedOrigins === '*') return '*';
+  if (config.allowedOrigins?.has(origin)) return origin;
+  throw new HttpError(403, `Origine non autorisée : ${origin}`, 'origin_not_allowed');
+}
+
+// Clé consommateur si fournie (et valide), sinon l'IP du client
+function identifyClient(request, config) {
+  const key = request.headers.get('X-API-Key');
+  if (key) {
+    const consumer = config.apiKeys.get(key);
+    if (!consumer) throw new HttpError(401, 'Clé X-API-Key inconnue', 'invalid_api_key');
+    return { id: `key:${consumer.name}`, name: consumer.name, limit: consumer.limit };
+  }
+  const ip = request.headers.get('CF-Connecting-IP') || 'local';
+  return { id: `ip:${ip}`, name: null, limit: config.rateLimit };
+}
+
+// ─── Headers ───
+
+// Les réponses renvoyées par context.next() ont des en-têtes immuables
+function withHeaders(response, headers) {
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) copy.headers.set(name, value);
+  return copy;
+}
+
+function withCors(response, origin) {
+  if (!origin) return response;
+  const exposed = (response.headers.get('Access-Control-Expose-Headers') || '').split(',').map(s => s.trim()).filter(Boolean);
+  const headers = {
+    'Access-Control-Allow-Origin': origin,
+    'Timing-Allow-Origin': origin,
+    'Access-Control-Expose-Headers': [...new Set([...exposed, ...EXPOSED_HEADERS])].join(', '),
+  };
+  if (origin !== '*') headers['Vary'] = 'Origin';
+  return withHeaders(response, headers);
+}
@@ -0,0 +1,83 @@
+/**
+ * Cloudflare Pages Function — /api/export
+ * Export d'une liste de praticiens (ids FHIR) en json, vcf, xlsx ou fhir (Bundle R4)
+ * kind=organization : liste de structures (ids FHIR Organization), mêmes formats
+ *
+ * GET  /api/export?format=xlsx&ids=id1,id2
+ * POST /api/export?format=vcf   body JSON : { "ids": ["id1", ...] } (ou { "format": "vcf", "kind": "organization", "ids": [...] })
+ */
+
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, errorResponse, HttpError } from '../_lib/http.js';
+import { fetchExportData, fetchOrganizationExportData, EXPORT_FORMATS, MAX_EXPORT } from '../_lib/export.js';
+
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/; // id FHIR
+const EXPORT_KINDS = {
+  practitioner: { fetch: fetchExportData, label: 'praticiens' },
+  organization: { fetch: fetchOrganizationExportData, label: 'structures' },
+};
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders('GET, POST, OPTIONS') });
+  }
+
+  const env = withCache(context);
+  try {
+    const { format, kind, ids } = await readExportRequest(request);
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      throw new HttpError(400, `Format inconnu : ${format} (${Object.keys(EXPORT_FORMATS).join(', ')})`, 'bad_request');
+    }
+    const source = EXPORT_KINDS[kind];
+    if (!source) {
+      throw new HttpError(400, `Type d'export inconnu : ${kind} (${Object.keys(EXPORT_KINDS).join(', ')})`, 'bad_request');
+    }
+    if (!ids.length) throw new HttpError(400, `Aucun identifiant de ${source.label} fourni`, 'bad_request');
+    if (ids.length > MAX_EXPORT) throw new HttpError(413, `Maximum ${MAX_EXPORT} ${source.label} par export`, 'too_many_ids');
+
+    const data = await source.fetch(ids, env);
+    const filename = `annuaire-sante-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+
+    return withCacheHeaders(new Response(exporter.render(data), {
+      headers: {
+        'Content-Type': exporter.contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'X-Export-Not-Found': String(data.notFound.length),
+        'X-Export-Skipped': String(data.skipped.length),
+        ...corsHeaders('GET, POST, OPTIONS'),
+      },
+    }), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+async function readExportRequest(request) {
+  const url = new URL(request.url);
+  let format = url.searchParams.get('format');
+  let kind = url.searchParams.get('kind');
+  let ids = (url.searchParams.get('ids') || '').split(',');
+
+  if (request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+    }
+    format = format || body?.format;
+    kind = kind || body?.kind;
+    ids = Array.isArray(body) ? body : body?.ids || [];
+  } else if (request.method !== 'GET') {
+    throw new HttpError(405, 'Method not allowed', 'method_not_allowed');
+  }
+
+  const unique = [...new Set(ids.map(id => String(id ?? '').trim()).filter(Boolean))];
+  const invalid = unique.filter(id => !ID_PATTERN.test(id));
+  if (invalid.length) throw new HttpError(400, `Identifiant invalide : ${invalid[0]}`, 'bad_request');
+
+  return { format: format || 'json', kind: kind || 'practitioner', ids: unique };
+}
@@ -0,0 +1,79 @@
+/**
+ * Cloudflare Pages Function — /api/geocode
+ * Coordonnées des adresses de structures pour la vue carte (voir _lib/geocode.js)
+ *
+ * GET  /api/geocode?street=12 rue de la Roquette&postal_code=75011&city=Paris
+ * POST /api/geocode   body JSON : { "addresses": [{ "id": "…", "street", "postalCode", "city", "cityCode" }, ...] }
+ */
+
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../_lib/http.js';
+import { geocodeAddresses } from '../_lib/geocode.js';
+import { truncationFields } from '../_lib/trace.js';
+
+const MAX_ADDRESSES = 200;
+const FIELDS = ['street', 'postalCode', 'city', 'cityCode'];
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders('GET, POST, OPTIONS') });
+  }
+  if (!['GET', 'POST'].includes(request.method)) {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'GET, POST, OPTIONS' });
+  }
+
+  const env = withCache(context);
+  try {
+    const addresses = await readAddresses(request);
+    if (!addresses.length) throw new HttpError(400, 'Aucune adresse à géocoder', 'bad_request');
+    if (addresses.length > MAX_ADDRESSES) throw new HttpError(413, `Maximum ${MAX_ADDRESSES} adresses par appel`, 'too_many_ids');
+
+    const points = await geocodeAddresses(addresses, env);
+    const results = addresses
+      .map((address, i) => points[i] && { id: address.id, ...points[i] })
+      .filter(Boolean);
+
+    return withCacheHeaders(jsonResponse({
+      total: results.length,
+      results,
+      notFound: addresses.filter((_, i) => !points[i]).map(a => a.id),
+      ...truncationFields(env.trace),
+    }), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// Adresses normalisées { id, street, postalCode, city, cityCode } ; GET : une adresse, id "0"
+async function readAddresses(request) {
+  if (request.method === 'GET') {
+    const params = new URL(request.url).searchParams;
+    const address = {
+      street: params.get('street'),
+      postalCode: params.get('postal_code'),
+      city: params.get('city'),
+      cityCode: params.get('insee'),
+    };
+    return FIELDS.some(field => address[field]) ? [toAddress(address, 0)] : [];
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+  }
+  const list = Array.isArray(body) ? body : body?.addresses;
+  if (!Array.isArray(list)) throw new HttpError(400, 'Attendu : { "addresses": [...] }', 'bad_request');
+  return list.filter(a => a && typeof a === 'object').map(toAddress);
+}
+
+function toAddress(address, index) {
+  const clean = value => (typeof value === 'string' ? value.trim() : '') || null;
+  return {
+    id: clean(String(address.id ?? '')) || String(index),
+    ...Object.fromEntries(FIELDS.map(field => [field, clean(address[field])])),
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Cloudflare Pages Function — /api/lists
+ * Listes de praticiens enregistrées (voir functions/_lib/lists.js)
+ *
+ * GET    /api/lists?id=xxx        → liste complète (modifiable)
+ * GET    /api/lists?share=xxx     → liste partagée, lecture seule
+ * GET    /api/lists?ids=a,b       → résumés des listes connues du navigateur
+ * POST   /api/lists               → création   { name, items }
+ * PUT    /api/lists?id=xxx        → renommage et/ou remplacement des items { name?, items? }
+ * DELETE /api/lists?id=xxx
+ */
+
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../_lib/http.js';
+import { createList, getList, getSharedList, updateList, deleteList, summarizeList } from '../_lib/lists.js';
+
+const METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const LIST_ID_PATTERN = /^[A-Za-z0-9_-]{8,32}$/;
+const MAX_SUMMARIES = 50;
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders(METHODS) });
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+
+    switch (request.method) {
+      case 'GET': {
+        if (params.get('share')) return jsonResponse(await getSharedList(listId(params.get('share')), env));
+        if (params.get('id')) return jsonResponse(await getList(listId(params.get('id')), env));
+        if (params.get('ids')) return jsonResponse({ results: await summarize(params.get('ids'), env) });
+        throw new HttpError(400, 'Paramètre id, share ou ids requis', 'bad_request');
+      }
+      case 'POST':
+        return jsonResponse(await createList(await readBody(request), env), 201);
+      case 'PUT':
+        return jsonResponse(await updateList(listId(params.get('id')), await readBody(request), env));
+      case 'DELETE':
+        await deleteList(listId(params.get('id')), env);
+        return jsonResponse({ deleted: true });
+      default:
+        return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': METHODS });
+    }
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// Listes supprimées ou expirées ignorées : le navigateur fait le ménage
+async function summarize(ids, env) {
+  const summaries = [];
+  for (const id of ids.split(',').filter(Boolean).slice(0, MAX_SUMMARIES)) {
+    try {
+      summaries.push(summarizeList(await getList(listId(id), env)));
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+    }
+  }
+  return summaries;
+}
+
+function listId(value) {
+  if (!LIST_ID_PATTERN.test(value || '')) throw new HttpError(400, 'Identifiant de liste invalide', 'bad_request');
+  return value;
+}
+
+async function readBody(request) {
+  try {
+    const body = await request.json();
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('objet JSON attendu');
+    return body;
+  } catch (err) {
+    throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+  }
+}
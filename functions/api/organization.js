@@ -0,0 +1,54 @@
+/**
+ * Cloudflare Pages Function — /api/organization?id=xxx
+ * Détail d'une structure + praticiens actifs qui y exercent (paginé par praticien, rôles regroupés)
+ */
+
+import { API_BASE, fhirFetch } from '../_lib/fhir.js';
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse } from '../_lib/http.js';
+import { parseOrganization } from '../_lib/parsers.js';
+import { fetchOrganizationPractitioners } from '../_lib/directory.js';
+import { readCursor, createPager } from '../_lib/cursor.js';
+import { truncationFields } from '../_lib/trace.js';
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders() });
+  }
+
+  const env = withCache(context);
+  const url = new URL(request.url);
+
+  try {
+    // Le curseur signé porte l'id et la taille de page de la première requête
+    const token = url.searchParams.get('next');
+    const cursor = token ? await readCursor(token, env) : null;
+    const params = cursor ? new URLSearchParams(cursor.q) : url.searchParams;
+    const id = params.get('id');
+    if (!id) return jsonResponse({ error: 'Missing id parameter' }, 400);
+    const count = Math.max(1, Math.min(parseInt(params.get('count') || '50', 10) || 50, 200));
+
+    const pager = createPager({ id, count: String(count) }, cursor, env);
+    const position = pager.position('organization');
+
+    const resource = await fhirFetch(`${API_BASE}/Organization/${encodeURIComponent(id)}`, env);
+    const organization = parseOrganization(resource);
+    // Position : rang du premier praticien de la page dans la liste triée
+    const offset = Math.max(0, parseInt(position?.offset, 10) || 0);
+    const page = await fetchOrganizationPractitioners(organization, env, { count, offset });
+
+    return withCacheHeaders(jsonResponse({
+      organization,
+      total: page.results.length,
+      totalPractitioners: page.totalPractitioners,
+      totalFhir: page.totalFhir,
+      results: page.results,
+      nextPage: await pager.next('organization', page.nextOffset != null && { offset: page.nextOffset }),
+      ...truncationFields(env.trace),
+    }), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Cloudflare Pages Function — POST /api/reconcile
+ * Rapprochement d'un export CRM (praticiens sans RPPS) avec l'annuaire (voir _lib/reconcile.js)
+ *
+ * Body CSV  : en-têtes reconnus nom, prénom (ou nom complet), ville, code postal, spécialité,
+ *             téléphone, e-mail ; séparateur « ; », « , » ou tabulation
+ * Body JSON : { "rows": [{ "Nom": "…", "Prénom": "…", "Ville": "…" }, ...] } ou [...]
+ *
+ * Chaque ligne coûte 1 à 3 sous-requêtes Practitioner, plus les rôles des candidats par
+ * lots : une fois le budget épuisé (voir trace.js), `nextOffset` indique la première ligne
+ * non traitée ; renvoyer le même fichier avec ?offset=nextOffset pour la suite.
+ */
+
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../_lib/http.js';
+import { mapColumns, toCrmRow, reconcileRows } from '../_lib/reconcile.js';
+import { truncationFields } from '../_lib/trace.js';
+
+const MAX_ROWS = 5000;
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders('POST, OPTIONS') });
+  }
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'POST, OPTIONS' });
+  }
+
+  const env = withCache(context);
+  try {
+    const { columns, records } = await readRecords(request);
+    if (!records.length) throw new HttpError(400, 'Aucune ligne à rapprocher', 'bad_request');
+    if (records.length > MAX_ROWS) throw new HttpError(413, `Maximum ${MAX_ROWS} lignes par fichier`, 'too_many_rows');
+
+    const mapping = mapColumns(columns);
+    if (!mapping.lastName && !mapping.name) {
+      throw new HttpError(400, `Colonne du nom introuvable parmi : ${columns.join(', ')}`, 'bad_request');
+    }
+
+    const offset = Math.max(0, parseInt(new URL(request.url).searchParams.get('offset') || '0', 10) || 0);
+    const rows = records.slice(offset).map(values => toCrmRow(values, mapping));
+    const { results, processed } = await reconcileRows(rows, env);
+    const end = offset + processed;
+
+    return withCacheHeaders(jsonResponse({
+      columns,
+      mapping,
+      total: records.length,
+      offset,
+      processed,
+      nextOffset: end < records.length ? end : null,
+      results: results.map((result, i) => ({ row: offset + i, values: records[offset + i], input: rows[i], ...result })),
+      ...truncationFields(env.trace),
+    }), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// ─── Input parsing ───
+
+// → { columns, records: [{ en-tête: valeur }] } ; lignes entièrement vides ignorées
+async function readRecords(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  const body = (await request.text()).replace(/^\uFEFF/, '');
+
+  if (contentType.includes('json') || /^\s*[[{]/.test(body)) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+    }
+    const list = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(list)) throw new HttpError(400, 'Attendu : { "rows": [...] } ou un fichier CSV', 'bad_request');
+    const records = list.filter(r => r && typeof r === 'object' && !Array.isArray(r));
+    return { columns: [...new Set(records.flatMap(Object.keys))], records };
+  }
+
+  const [header = [], ...lines] = parseCsv(body);
+  const columns = header.map(h => h.trim());
+  const records = lines
+    .filter(cells => cells.some(c => c.trim()))
+    .map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? '').trim()])));
+  return { columns, records };
+}
+
+// CSV avec champs entre guillemets (séparateurs, retours à la ligne et "" à l'intérieur)
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const separator = [';', '\t', ','].find(s => firstLine.includes(s)) || ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"' && !cell) {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
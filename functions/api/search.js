@@ -1,323 +1,394 @@
 /**
  * Cloudflare Pages Function — /api/search
  * Proxy vers l'API FHIR Annuaire Santé
+ * Mode flux : ?stream=1 ou Accept: application/x-ndjson (voir streamSearch)
  */
 
-const API_BASE = 'https://gateway.api.esante.gouv.fr/fhir/v2';
+import { API_BASE, RPPS_SYSTEM, fhirFetch } from '../_lib/fhir.js';
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse, describeError } from '../_lib/http.js';
+import { parsePractitioner, parsePractitionerRole, parseOrganization } from '../_lib/parsers.js';
+import { fetchRolesForOrganizations, fetchRolesForPractitioners, mergePractitionersAndRoles, withRoles, rolesCost } from '../_lib/directory.js';
+import { resolveLocation, describeLocation, organizationLocationParams } from '../_lib/geo.js';
+import { readCursor, createPager, fhirUrlFromCursor } from '../_lib/cursor.js';
+import { findSpecialty, requireSpecialty, specialtyToken } from '../_lib/specialties.js';
+import { rankResults } from '../_lib/ranking.js';
+import { planSearch, describePlan, filterResults, readPracticeFilter } from '../_lib/planner.js';
+import { canAfford, truncate, truncationFields } from '../_lib/trace.js';
+import { wantsNdjson, createNdjsonStream } from '../_lib/stream.js';
+import { withFacets, computeFacets } from '../_lib/facets.js';
 
 export async function onRequest(context) {
-  const { request, env } = context;
+  const { request } = context;
 
   if (request.method === 'OPTIONS') {
     return new Response(null, { headers: corsHeaders() });
   }
 
+  const env = withCache(context);
+  const url = new URL(request.url);
+  if (wantsNdjson(request)) return await streamSearch(context, url.searchParams, env);
   try {
-    const url = new URL(request.url);
-    return await handleSearch(url.searchParams, env);
+    return withCacheHeaders(await handleSearch(url.searchParams, env), env.cache);
   } catch (err) {
-    return jsonResponse({ error: err.message }, 500);
+    return errorResponse(err);
   }
 }
 
-async function handleSearch(params, env) {
-  // ─── Handle "load more" pagination ───
-  const nextUrl = params.get('next');
-  if (nextUrl) {
-    return await handleLoadMore(nextUrl, env);
+/**
+ * Mode flux NDJSON : meta (plan, zone), puis un enregistrement result par praticien dès
+ * que son lot est résolu (de nouveau s'il a gagné des lieux d'exercice), puis end
+ * (total, nextPage, truncated…) ou error. Une erreur survenue avant le premier
+ * enregistrement garde son statut HTTP ; le client qui abandonne arrête la recherche.
+ */
+async function streamSearch(context, params, env) {
+  const stream = createNdjsonStream();
+  env.stream = stream;
+  env.streamed = new Map();
+
+  const search = handleSearch(params, env)
+    .catch(err => {
+      if (!stream.started) throw err;
+      stream.write({ type: 'error', ...describeError(err) });
+    })
+    .finally(() => {
+      if (stream.started) stream.close();
+    });
+
+  let response;
+  try {
+    response = await Promise.race([stream.opened.then(() => null), search]);
+  } catch (err) {
+    return errorResponse(err);
   }
+  // Réponse ordinaire (aucun critère…) : rien n'a été écrit dans le flux
+  if (response) return withCacheHeaders(response, env.cache);
 
-  const name = params.get('name') || '';
-  const city = params.get('city') || '';
-  const specialty = params.get('specialty') || '';
-  const specialtyCode = params.get('specialty_code') || '';
-  const rpps = params.get('rpps') || '';
-  const count = Math.min(parseInt(params.get('count') || '200', 10), 500);
+  context.waitUntil?.(search);
+  return stream.response(corsHeaders());
+}
 
-  // ─── Strategy 1: Search by RPPS ───
-  if (rpps) {
-    return await searchByRpps(rpps, env);
-  }
+// Recherche approchée : préfixe du nom envoyé à la passerelle, noms plus courts ignorés
+const FUZZY_MIN_LENGTH = 4;
 
-  // ─── Strategy 2: Search by specialty code (qualification-code on Practitioner) ───
-  if (specialtyCode) {
-    return await searchByQualificationCode(specialtyCode, name, city, count, env);
-  }
+// Paramètres recopiés dans le curseur de pagination
+const CRITERIA_PARAMS = ['name', 'specialty', 'specialty_code', 'rpps', 'city', 'insee', 'postal_code', 'department', 'radius', 'practice_mode', 'active_only', 'count'];
 
-  // ─── Strategy 3: Search by name (+ optional city post-filter) ───
-  if (name) {
-    return await searchByName(name, city, specialty, count, env);
+async function handleSearch(params, env) {
+  // ─── Resume from a pagination cursor ───
+  // Le curseur signé remplace les critères de la requête par ceux de la recherche d'origine
+  const token = params.get('next');
+  const cursor = token ? await readCursor(token, env) : null;
+  if (cursor) params = new URLSearchParams(cursor.q);
+
+  const criteria = {};
+  for (const key of CRITERIA_PARAMS) {
+    if (params.get(key)) criteria[key] = params.get(key);
   }
+  const pager = createPager(criteria, cursor, env);
 
-  // ─── Strategy 4: Search by city only (via PractitionerRole) ───
-  if (city) {
-    return await searchByRoleFilters(city, specialty, count, env);
+  const specialtyCode = params.get('specialty_code') || '';
+  // Sans specialty_code, un libellé ou synonyme connu du référentiel vaut son code ; sinon filtre texte
+  const specialtyEntry = specialtyCode ? requireSpecialty(specialtyCode) : findSpecialty(params.get('specialty'));
+  const query = {
+    rpps: (params.get('rpps') || '').trim(),
+    name: (params.get('name') || '').trim(),
+    specialtyEntry,
+    specialty: specialtyEntry && !specialtyCode ? '' : params.get('specialty') || '',
+    // city / insee / postal_code / department / radius → zone géographique résolue
+    location: await resolveLocation(params, env),
+    // practice_mode / active_only → post-filtre sur les lieux d'exercice
+    practice: readPracticeFilter(params),
+  };
+  // Praticiens par page (1 à 500) ; valeur illisible : 200
+  const count = Math.max(1, Math.min(parseInt(params.get('count') || '200', 10) || 200, 500));
+
+  // Tous les critères en ET : point d'entrée le plus sélectif, le reste en filtres (voir planner.js)
+  const plan = planSearch(query);
+  if (!plan) return jsonResponse({ error: 'Remplis au moins un critère de recherche' }, 400);
+
+  switch (plan.strategy) {
+    case 'rpps': return await searchByRpps(query, plan, env);
+    case 'qualification': return await searchByQualificationCode(query, plan, count, pager, env);
+    case 'name': return await searchByName(query, plan, count, pager, env);
+    case 'location': return await searchByLocation(query, plan, count, pager, env);
+    default: return await searchByRoleFilters(query, plan, count, pager, env);
   }
-
-  return jsonResponse({ error: 'Remplis au moins un critère de recherche' }, 400);
 }
 
-// ─── Load More (pagination) ───
-async function handleLoadMore(nextUrl, env) {
-  // Validate URL is from the FHIR API
-  if (!nextUrl.startsWith(API_BASE)) {
-    return jsonResponse({ error: 'Invalid pagination URL' }, 400);
-  }
+// ─── Search by qualification-code (specialty or profession, optionally with a name) ───
+async function searchByQualificationCode(query, plan, count, pager, env) {
+  const code = specialtyToken(query.specialtyEntry);
+  const { name } = query;
+  const position = pager.position('qualification');
+  let bundle = null;
 
-  const bundle = await fhirFetch(nextUrl, env);
-  if (!bundle?.entry?.length) return jsonResponse({ total: 0, results: [], nextPage: null });
+  if (position) {
+    bundle = await fhirFetch(fhirUrlFromCursor(position.fhir), env);
+  } else {
+    // Build name params — try most precise first, stop on first match
+    const parts = name ? name.trim().split(/\s+/) : [];
+
+    if (parts.length >= 2) {
+      const p1 = new URLSearchParams({ 'qualification-code': code, family: parts[0], given: parts.slice(1).join(' '), _count: String(count) });
+      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
+      if (!bundle.entry?.length) {
+        const p2 = new URLSearchParams({ 'qualification-code': code, family: parts[parts.length - 1], given: parts.slice(0, -1).join(' '), _count: String(count) });
+        bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
+      }
+    } else if (parts.length === 1) {
+      const p1 = new URLSearchParams({ 'qualification-code': code, family: name, _count: String(count) });
+      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
+      if (!bundle.entry?.length) {
+        const p2 = new URLSearchParams({ 'qualification-code': code, name: name, _count: String(count) });
+        bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
+      }
+    } else {
+      const p1 = new URLSearchParams({ 'qualification-code': code, _count: String(count) });
+      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
+    }
+  }
 
-  const practitioners = bundle.entry.map(e => parsePractitioner(e.resource));
-  const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
-  const results = mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
+  if (!bundle?.entry?.length) return searchResponse({ total: 0, totalFhir: bundle?.total || 0, results: [], nextPage: null }, plan, env);
 
-  const fhirNext = bundle.link?.find(l => l.relation === 'next')?.url || null;
+  // With post-filters, read one extra page so the filters have something to keep
+  const page = await expandPractitionerBundle(bundle, plan.filters.size ? 2 : 1, env);
+  const results = rankResults(filterResults(page.results, query, plan), query);
 
-  return jsonResponse({
+  return searchResponse({
     total: results.length,
     totalFhir: bundle.total || 0,
+    location: describeLocation(query.location),
     results,
-    nextPage: fhirNext,
-  });
+    nextPage: await pager.next('qualification', page.next && { fhir: page.next }),
+  }, plan, env);
 }
 
-// ─── Search by qualification-code (specialty) ───
-async function searchByQualificationCode(code, name, city, count, env) {
-  // If city is provided: search Organizations in that city first, then find practitioners
-  if (city && !name) {
-    return await searchBySpecialtyAndCity(code, city, count, env);
+// ─── Search by location, optionally restricted to a specialty (reverse lookup via Organizations) ───
+// Position = page d'Organization en cours + index de la prochaine structure à traiter
+async function searchByLocation(query, plan, count, pager, env) {
+  const { location } = query;
+  const qualCode = plan.gateway.has('specialty_code') ? specialtyToken(query.specialtyEntry) : null;
+  const position = pager.position('location');
+  const batchSize = 50;
+  // Un lot de structures coûte au moins 2 sous-requêtes (rôles + praticiens), une page de structures 1 de plus
+  const batchCost = 2;
+
+  let orgPageUrl = position ? fhirUrlFromCursor(position.orgPage) : null;
+  let orgOffset = position?.orgOffset || 0;
+  if (!orgPageUrl) {
+    // Organizations in that area (postal codes or department prefix)
+    const orgParams = new URLSearchParams(organizationLocationParams(location));
+    orgParams.set('_count', '200');
+    orgParams.set('_elements', 'id,name,address,telecom');
+    orgPageUrl = `${API_BASE}/Organization?${orgParams}`;
   }
 
-  // Build name params — try most precise first, stop on first match
-  const parts = name ? name.trim().split(/\s+/) : [];
-  let bundle = null;
-
-  if (parts.length >= 2) {
-    const p1 = new URLSearchParams({ 'qualification-code': code, family: parts[0], given: parts.slice(1).join(' '), _count: '200' });
-    bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
-    if (!bundle.entry?.length) {
-      const p2 = new URLSearchParams({ 'qualification-code': code, family: parts[parts.length - 1], given: parts.slice(0, -1).join(' '), _count: '200' });
-      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
-    }
-  } else if (parts.length === 1) {
-    const p1 = new URLSearchParams({ 'qualification-code': code, family: name, _count: '200' });
-    bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
-    if (!bundle.entry?.length) {
-      const p2 = new URLSearchParams({ 'qualification-code': code, name: name, _count: '200' });
-      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
+  const rolesByPractitioner = {};
+  const practitionersById = {};
+  let orgBatches = 0;
+  let outOfBudget = false;
+
+  while (orgPageUrl && !outOfBudget && !env.stream?.cancelled && Object.keys(practitionersById).length < count) {
+    if (!canAfford(env, 1 + batchCost)) {
+      outOfBudget = true;
+      break;
     }
-  } else {
-    const p1 = new URLSearchParams({ 'qualification-code': code, _count: '200' });
-    bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
-  }
-
-  if (!bundle?.entry?.length) return jsonResponse({ total: 0, totalFhir: bundle?.total || 0, results: [], nextPage: null });
-
-  const practitioners = bundle.entry.map(e => parsePractitioner(e.resource));
-  const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
-  let results = mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
 
-  // Post-filter by city if provided (when name is also given)
-  results = filterByCity(results, city);
-
-  const fhirNext = bundle.link?.find(l => l.relation === 'next')?.url || null;
-  return jsonResponse({ total: results.length, totalFhir: bundle.total || 0, results, nextPage: fhirNext });
-}
+    // Step 1: current page of organizations (cached, so resuming mid-page is cheap)
+    const orgBundle = await fhirFetch(orgPageUrl, env);
+    if (!position && !orgBatches && !orgBundle.entry?.length) {
+      return searchResponse({ total: 0, location: describeLocation(location), results: [], message: `Aucune structure trouvée : ${location.label}` }, plan, env);
+    }
 
-// ─── Search by specialty + city (reverse lookup via Organizations) ───
-async function searchBySpecialtyAndCity(qualCode, city, count, env) {
-  // Step 1: Find ALL organizations in that city (paginate up to 3 pages = 600 orgs)
-  const orgParams = new URLSearchParams();
-  orgParams.set('address-city', city);
-  orgParams.set('_count', '200');
-  orgParams.set('_elements', 'id,name,address,telecom');
-
-  const orgBundle = await fhirFetch(`${API_BASE}/Organization?${orgParams}`, env);
-  if (!orgBundle.entry?.length) return jsonResponse({ total: 0, results: [], message: `Aucune structure trouvée à ${city}` });
-
-  let allOrgEntries = [...orgBundle.entry];
-  // Paginate if more orgs exist
-  // Max 1 extra page to stay within Cloudflare subrequest limits
-  const nextOrgUrl = orgBundle.link?.find(l => l.relation === 'next')?.url;
-  if (nextOrgUrl) {
-    const nextBundle = await fhirFetch(nextOrgUrl, env);
-    if (nextBundle.entry) allOrgEntries.push(...nextBundle.entry);
-  }
+    const orgs = {};
+    const orgIds = [];
+    for (const entry of orgBundle.entry || []) {
+      const org = parseOrganization(entry.resource);
+      orgs[org.id] = org;
+      orgIds.push(org.id);
+    }
 
-  const orgs = {};
-  const orgIds = [];
-  for (const entry of allOrgEntries) {
-    const org = parseOrganization(entry.resource);
-    orgs[org.id] = org;
-    orgIds.push(org.id);
-  }
+    while (orgOffset < orgIds.length && Object.keys(practitionersById).length < count) {
+      if (!canAfford(env, batchCost)) {
+        outOfBudget = true;
+        break;
+      }
+      const batchStart = orgOffset;
+      const orgBatch = orgIds.slice(orgOffset, orgOffset + batchSize);
+      orgOffset += orgBatch.length;
+      orgBatches++;
+
+      // Step 2: PractitionerRoles linked to this batch of organizations
+      const batchRoles = await fetchRolesForOrganizations(orgBatch, orgs, env, { batchSize });
+      for (const [pid, roles] of Object.entries(batchRoles)) {
+        if (!rolesByPractitioner[pid]) rolesByPractitioner[pid] = [];
+        rolesByPractitioner[pid].push(...roles);
+      }
 
-  // Step 2: Find PractitionerRoles linked to those organizations
-  // Limit org batches to stay within Cloudflare's 50 subrequest limit
-  const practitionerIds = new Set();
-  const rolesByPractitioner = {};
-  const batchSize = 50;
-  const maxOrgBatches = 6; // 6 batches × 50 orgs = 300 orgs max
-  const limitedOrgIds = orgIds.slice(0, batchSize * maxOrgBatches);
-
-  for (let i = 0; i < limitedOrgIds.length && i / batchSize < maxOrgBatches; i += batchSize) {
-    const batch = limitedOrgIds.slice(i, i + batchSize);
-    const roleParams = new URLSearchParams();
-    roleParams.set('organization', batch.join(','));
-    roleParams.set('_count', '200');
-
-    const roleBundle = await fhirFetch(`${API_BASE}/PractitionerRole?${roleParams}`, env);
-    if (!roleBundle.entry) continue;
-
-    for (const entry of roleBundle.entry) {
-      const r = entry.resource;
-      if (r.resourceType === 'PractitionerRole') {
-        const role = parsePractitionerRole(r);
-        if (role.organizationId && orgs[role.organizationId]) {
-          role.organization = orgs[role.organizationId];
+      // Step 3: Fetch the new practitioners (filtered by qualification-code when given)
+      const pidArray = Object.keys(batchRoles).filter(pid => !practitionersById[pid]);
+      for (let i = 0; i < pidArray.length; i += batchSize) {
+        if (!canAfford(env)) {
+          // Lot incomplet : il sera repris en entier à la page suivante (doublons fusionnés côté client)
+          orgOffset = batchStart;
+          outOfBudget = true;
+          break;
+        }
+        const practParams = new URLSearchParams();
+        practParams.set('_id', pidArray.slice(i, i + batchSize).join(','));
+        if (qualCode) practParams.set('qualification-code', qualCode);
+        practParams.set('_count', '200');
+
+        const practBundle = await fhirFetch(`${API_BASE}/Practitioner?${practParams}`, env);
+        for (const entry of practBundle.entry || []) {
+          practitionersById[entry.resource.id] = parsePractitioner(entry.resource);
         }
-        const pid = role.practitionerId;
-        practitionerIds.add(pid);
-        if (!rolesByPractitioner[pid]) rolesByPractitioner[pid] = [];
-        rolesByPractitioner[pid].push(role);
+      }
+      if (outOfBudget) break;
+
+      // Mode flux : praticiens de ce lot (nouveaux ou avec de nouveaux rôles) envoyés tout de suite
+      if (env.stream) {
+        const batchResults = Object.keys(batchRoles)
+          .filter(pid => practitionersById[pid])
+          .map(pid => withRoles(practitionersById[pid], rolesByPractitioner[pid]));
+        streamResults(rankResults(filterResults(batchResults, query, plan), query), plan, describeLocation(location), env);
+        if (env.stream.cancelled) break;
       }
     }
-  }
 
-  if (practitionerIds.size === 0) return jsonResponse({ total: 0, results: [] });
-
-  // Step 3: Fetch those practitioners filtered by qualification-code
-  // Use larger batches, limit total requests
-  const matchedPractitioners = [];
-  const pidArray = [...practitionerIds];
-  const maxPractBatches = 5;
-
-  for (let i = 0; i < pidArray.length && i / batchSize < maxPractBatches; i += batchSize) {
-    const batch = pidArray.slice(i, i + batchSize);
-    const practParams = new URLSearchParams();
-    practParams.set('_id', batch.join(','));
-    practParams.set('qualification-code', qualCode);
-    practParams.set('_count', '200');
-
-    const practBundle = await fhirFetch(`${API_BASE}/Practitioner?${practParams}`, env);
-    if (practBundle.entry) {
-      for (const entry of practBundle.entry) {
-        matchedPractitioners.push(parsePractitioner(entry.resource));
-      }
+    if (orgOffset >= orgIds.length) {
+      orgPageUrl = orgBundle.link?.find(l => l.relation === 'next')?.url || null;
+      orgOffset = 0;
     }
   }
+  if (outOfBudget) truncate(env, 'subrequest_budget', 'structures restantes reprises par nextPage');
 
-  // Merge
-  const results = matchedPractitioners.map(p => ({
-    ...p,
-    roles: rolesByPractitioner[p.id] || [],
-  })).slice(0, count);
+  // Merge, then sort by distance
+  let results = Object.values(practitionersById).map(p => withRoles(p, rolesByPractitioner[p.id] || []));
+  results = rankResults(filterResults(results, query, plan), query);
 
-  return jsonResponse({ total: results.length, results });
+  return searchResponse({
+    total: results.length,
+    location: describeLocation(location),
+    results,
+    nextPage: await pager.next('location', orgPageUrl && { orgPage: orgPageUrl, orgOffset }),
+  }, plan, env);
 }
 
 // ─── Search by RPPS ───
-async function searchByRpps(rpps, env) {
+async function searchByRpps(query, plan, env) {
   const fhirParams = new URLSearchParams();
-  fhirParams.set('identifier', `https://rpps.esante.gouv.fr|${rpps}`);
+  fhirParams.set('identifier', `${RPPS_SYSTEM}|${query.rpps}`);
   fhirParams.set('_count', '10');
 
   const bundle = await fhirFetch(`${API_BASE}/Practitioner?${fhirParams}`, env);
-  if (!bundle.entry?.length) return jsonResponse({ total: 0, results: [] });
+  if (!bundle.entry?.length) return searchResponse({ total: 0, results: [] }, plan, env);
 
   const practitioners = bundle.entry.map(e => parsePractitioner(e.resource));
   const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
-  const results = mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
+  const merged = mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
+  // Nom, zone, spécialité éventuels : la fiche doit aussi y correspondre
+  const results = rankResults(filterResults(merged, query, plan), query, { requireName: plan.filters.has('name') });
 
-  return jsonResponse({ total: results.length, results });
+  return searchResponse({ total: results.length, location: describeLocation(query.location), results }, plan, env);
 }
 
 // ─── Search by name ───
-async function searchByName(name, city, specialty, count, env) {
+async function searchByName(query, plan, count, pager, env) {
+  const { name } = query;
+  const position = pager.position('name');
   const parts = name.trim().split(/\s+/);
   
   // Strategy: try the most precise search first, fallback if 0 results
   let bundle = null;
+  let fuzzy = !!position?.fuzzy;
 
-  if (parts.length >= 2) {
+  if (position) {
+    bundle = await fhirFetch(fhirUrlFromCursor(position.fhir), env);
+  } else if (parts.length >= 2) {
     // Try family=first + given=rest
-    const p1 = new URLSearchParams({ family: parts[0], given: parts.slice(1).join(' '), _count: '200' });
+    const p1 = new URLSearchParams({ family: parts[0], given: parts.slice(1).join(' '), _count: String(count) });
     bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
 
     // If 0 results, try reversed: family=last + given=first
     if (!bundle.entry?.length) {
-      const p2 = new URLSearchParams({ family: parts[parts.length - 1], given: parts.slice(0, -1).join(' '), _count: '200' });
+      const p2 = new URLSearchParams({ family: parts[parts.length - 1], given: parts.slice(0, -1).join(' '), _count: String(count) });
       bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
     }
 
     // If still 0, try just family name (first word)
     if (!bundle.entry?.length) {
-      const p3 = new URLSearchParams({ family: parts[0], _count: '200' });
+      const p3 = new URLSearchParams({ family: parts[0], _count: String(count) });
       bundle = await fhirFetch(`${API_BASE}/Practitioner?${p3}`, env);
     }
   } else {
     // Single word: try family first
-    const p1 = new URLSearchParams({ family: name, _count: '200' });
+    const p1 = new URLSearchParams({ family: name, _count: String(count) });
     bundle = await fhirFetch(`${API_BASE}/Practitioner?${p1}`, env);
 
     // If 0, try broad name search
     if (!bundle.entry?.length) {
-      const p2 = new URLSearchParams({ name: name, _count: '200' });
+      const p2 = new URLSearchParams({ name: name, _count: String(count) });
       bundle = await fhirFetch(`${API_BASE}/Practitioner?${p2}`, env);
     }
   }
 
-  if (!bundle?.entry?.length) return jsonResponse({ total: 0, totalFhir: bundle?.total || 0, results: [] });
-
-  if (!bundle.entry?.length) return jsonResponse({ total: 0, totalFhir: bundle.total || 0, results: [] });
-
-  // If filtering by city or specialty, paginate 1 extra page for more results
-  let allEntries = [...bundle.entry];
-  const needsPostFilter = !!(city || specialty);
-  if (needsPostFilter && bundle.total > allEntries.length) {
-    const nextUrl = bundle.link?.find(l => l.relation === 'next')?.url;
-    if (nextUrl) {
-      const page2 = await fhirFetch(nextUrl, env);
-      if (page2.entry) allEntries.push(...page2.entry);
+  // Still 0: typo tolerance — family names sharing the first letters, filtered by edit distance
+  if (!position && !bundle.entry?.length) {
+    for (const part of new Set([parts[0], parts[parts.length - 1]])) {
+      if (part.length < FUZZY_MIN_LENGTH) continue;
+      const p = new URLSearchParams({ family: part.slice(0, Math.max(FUZZY_MIN_LENGTH - 1, part.length - 2)), _count: String(count) });
+      bundle = await fhirFetch(`${API_BASE}/Practitioner?${p}`, env);
+      fuzzy = true;
+      if (bundle.entry?.length) break;
     }
   }
 
-  const practitioners = allEntries.map(e => parsePractitioner(e.resource));
-  const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
-  let results = mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
+  if (!bundle?.entry?.length) return searchResponse({ total: 0, totalFhir: bundle?.total || 0, results: [] }, plan, env);
 
-  // Post-filter
-  results = filterByCity(results, city);
-  results = filterBySpecialty(results, specialty);
+  // If post-filtering (location, specialty, practice…), paginate 1 extra page for more results
+  const needsPostFilter = plan.filters.size > 0;
+  const page = await expandPractitionerBundle(bundle, needsPostFilter ? 2 : 1, env);
 
-  // Cap results
+  // Post-filter, then rank (approximate matches must resemble at least one word of the query)
+  // Pas de troncature : la page suivante reprend après le dernier praticien lu
+  const results = rankResults(filterResults(page.results, query, plan), query, { requireName: fuzzy });
   const totalFhir = bundle.total || 0;
-  results = results.slice(0, count);
 
-  return jsonResponse({
+  return searchResponse({
     total: results.length,
     totalFhir,
-    message: totalFhir > 200 && !needsPostFilter ? `${totalFhir} résultats au total — affinez votre recherche (ville, spécialité) pour des résultats plus précis` : undefined,
+    location: describeLocation(query.location),
+    message: fuzzy
+      ? 'Aucun résultat exact — noms approchants'
+      : !position && totalFhir > count && !needsPostFilter ? `${totalFhir} résultats au total — affinez votre recherche (ville, spécialité) pour des résultats plus précis` : undefined,
     results,
-    nextPage: (!needsPostFilter && bundle.link?.find(l => l.relation === 'next')?.url) || null,
-  });
+    nextPage: await pager.next('name', page.next && { fhir: page.next, fuzzy: fuzzy || undefined }),
+  }, plan, env);
 }
 
-// ─── Search by role filters (specialty/city without name) ───
-async function searchByRoleFilters(city, specialty, count, env) {
-  // Search PractitionerRole directly — supports specialty as a search param
-  const fhirParams = new URLSearchParams();
-  fhirParams.set('_count', count.toString());
-  fhirParams.set('_include', 'PractitionerRole:practitioner');
-  fhirParams.set('_include', 'PractitionerRole:organization');
+// ─── Search by role filters (profession code or specialty text, without name or location) ───
+// role = code token (system|code) ou texte libre, resserré par les post-filtres du plan
+async function searchByRoleFilters(query, plan, count, pager, env) {
+  const role = query.specialtyEntry ? specialtyToken(query.specialtyEntry) : query.specialty;
+  const position = pager.position('role');
+  let bundle;
 
-  if (specialty) {
-    // FHIR supports text search on specialty
-    fhirParams.set('role', specialty);
-  }
+  if (position) {
+    bundle = await fhirFetch(fhirUrlFromCursor(position.fhir), env);
+  } else {
+    // Search PractitionerRole directly — supports specialty as a search param
+    const fhirParams = new URLSearchParams();
+    fhirParams.set('_count', count.toString());
+    fhirParams.append('_include', 'PractitionerRole:practitioner');
+    fhirParams.append('_include', 'PractitionerRole:organization');
+
+    fhirParams.set('role', role);
 
-  const bundle = await fhirFetch(`${API_BASE}/PractitionerRole?${fhirParams}`, env);
-  if (!bundle.entry?.length) return jsonResponse({ total: 0, results: [] });
+    bundle = await fhirFetch(`${API_BASE}/PractitionerRole?${fhirParams}`, env);
+  }
+  if (!bundle.entry?.length) return searchResponse({ total: 0, results: [] }, plan, env);
 
   // Separate resources by type
   const practitionerRoles = [];
@@ -347,214 +418,73 @@ async function searchByRoleFilters(city, specialty, count, env) {
   }
 
   // Build results
-  let results = Object.entries(practByRoles).map(([pid, roles]) => {
-    const pract = practitioners[pid] || { id: pid, lastName: '', firstName: '', rpps: null, identifiers: [], qualifications: [] };
-    return { ...pract, roles };
-  });
-
-  // Post-filter by city
-  results = filterByCity(results, city);
-
-  // Post-filter by specialty text (more precise than FHIR role param)
-  results = filterBySpecialty(results, specialty);
-
-  return jsonResponse({ total: results.length, totalFhir: bundle.total || 0, results });
-}
-
-// ─── Shared: fetch roles for practitioner IDs ───
-async function fetchRolesForPractitioners(ids, env) {
-  const practitionerRoles = [];
-  const organizations = {};
-  const batchSize = 50; // Larger batches = fewer subrequests
-  const maxBatches = 6; // Stay within Cloudflare limits
-
-  for (let i = 0; i < ids.length && i / batchSize < maxBatches; i += batchSize) {
-    const batch = ids.slice(i, i + batchSize);
-    const params = new URLSearchParams();
-    params.set('practitioner', batch.join(','));
-    params.set('_count', '200');
-    params.set('_include', 'PractitionerRole:organization');
-
-    const bundle = await fhirFetch(`${API_BASE}/PractitionerRole?${params}`, env);
-
-    if (bundle.entry) {
-      for (const entry of bundle.entry) {
-        if (entry.resource.resourceType === 'PractitionerRole') {
-          practitionerRoles.push(parsePractitionerRole(entry.resource));
-        } else if (entry.resource.resourceType === 'Organization') {
-          organizations[entry.resource.id] = parseOrganization(entry.resource);
-        }
-      }
-    }
-  }
-
-  return { practitionerRoles, organizations };
-}
-
-// ─── Filters ───
-function filterByCity(results, city) {
-  if (!city) return results;
-  const cityLower = city.toLowerCase();
-  return results.filter(r =>
-    r.roles.some(role =>
-      role.address?.toLowerCase().includes(cityLower) ||
-      role.city?.toLowerCase().includes(cityLower) ||
-      role.organization?.city?.toLowerCase().includes(cityLower) ||
-      role.organization?.address?.toLowerCase().includes(cityLower)
-    )
+  let results = Object.entries(practByRoles).map(([pid, roles]) =>
+    withRoles(practitioners[pid] || { id: pid, lastName: '', firstName: '', rpps: null, identifiers: [], qualifications: [] }, roles)
   );
-}
 
-function filterBySpecialty(results, specialty) {
-  if (!specialty) return results;
-  const specLower = specialty.toLowerCase();
-  return results.filter(r =>
-    r.roles.some(role =>
-      role.specialties?.some(s => s.toLowerCase().includes(specLower))
-    ) ||
-    r.qualifications?.some(q => q.display?.toLowerCase().includes(specLower))
-  );
+  // Post-filter by specialty text (more precise than FHIR role param) and practice
+  results = rankResults(filterResults(results, query, plan), query);
+
+  const fhirNext = bundle.link?.find(l => l.relation === 'next')?.url || null;
+  return searchResponse({
+    total: results.length,
+    totalFhir: bundle.total || 0,
+    results,
+    nextPage: await pager.next('role', fhirNext && { fhir: fhirNext }),
+  }, plan, env);
 }
 
-// ─── Merge ───
-function mergePractitionersAndRoles(practitioners, roles, orgs) {
-  const rolesByPractitioner = {};
-  for (const role of roles) {
-    if (!role.practitionerId) continue;
-    if (role.organizationId && orgs[role.organizationId]) {
-      role.organization = orgs[role.organizationId];
+// ─── Shared: Practitioner bundle → results with roles ───
+// Reads up to `maxPages` pages starting from `bundle`; `next` is where the following call resumes
+async function expandPractitionerBundle(bundle, maxPages, env) {
+  const entries = [...(bundle.entry || [])];
+  let next = bundle.link?.find(l => l.relation === 'next')?.url || null;
+
+  for (let i = 1; i < maxPages && next; i++) {
+    // La page supplémentaire (au plus la taille de la première) et les rôles de tous ses praticiens doivent tenir dans le budget
+    if (!canAfford(env, 1 + rolesCost(entries.length + (bundle.entry?.length || 0)))) {
+      truncate(env, 'subrequest_budget', 'page supplémentaire reprise par nextPage');
+      break;
     }
-    if (!rolesByPractitioner[role.practitionerId]) {
-      rolesByPractitioner[role.practitionerId] = [];
-    }
-    rolesByPractitioner[role.practitionerId].push(role);
+    const page = await fhirFetch(next, env);
+    if (page.entry) entries.push(...page.entry);
+    next = page.link?.find(l => l.relation === 'next')?.url || null;
   }
 
-  return practitioners.map(p => ({
-    ...p,
-    roles: rolesByPractitioner[p.id] || [],
-  }));
-}
-
-// ─── Parsers ───
-
-function parsePractitioner(resource) {
-  const name = resource.name?.[0] || {};
-  const identifiers = (resource.identifier || []).map(id => ({
-    system: id.system,
-    value: id.value,
-    type: id.system?.includes('rpps') ? 'RPPS'
-      : id.system?.includes('adeli') ? 'ADELI'
-      : id.type?.coding?.[0]?.code || 'OTHER',
-  }));
-
-  const qualifications = (resource.qualification || []).map(q => ({
-    code: q.code?.coding?.[0]?.code,
-    display: q.code?.coding?.[0]?.display || q.code?.text,
-    system: q.code?.coding?.[0]?.system,
-  }));
-
-  const rpps = identifiers.find(i => i.type === 'RPPS')?.value || null;
-
-  return {
-    id: resource.id,
-    rpps,
-    identifiers,
-    lastName: name.family || '',
-    firstName: (name.given || []).join(' '),
-    prefix: (name.prefix || []).join(' '),
-    suffix: (name.suffix || []).join(' '),
-    qualifications,
-    active: resource.active !== false,
-  };
-}
-
-function parsePractitionerRole(resource) {
-  const specialties = (resource.specialty || []).flatMap(s =>
-    (s.coding || []).map(c => c.display || c.code)
-  );
-
-  const telecoms = (resource.telecom || []).map(t => ({
-    system: t.system,
-    value: t.value,
-    use: t.use,
-  }));
-
-  const practRef = resource.practitioner?.reference || '';
-  const practitionerId = practRef.replace('Practitioner/', '');
-
-  const orgRef = resource.organization?.reference || '';
-  const organizationId = orgRef.replace('Organization/', '');
-
-  return {
-    id: resource.id,
-    practitionerId,
-    organizationId,
-    specialties,
-    telecoms,
-    active: resource.active !== false,
-  };
-}
-
-function parseOrganization(resource) {
-  const addr = resource.address?.[0] || null;
-  const telecoms = (resource.telecom || []).map(t => ({
-    system: t.system,
-    value: t.value,
-  }));
-
+  const practitioners = entries.map(e => parsePractitioner(e.resource));
+  const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
   return {
-    id: resource.id,
-    name: resource.name || '',
-    type: resource.type?.[0]?.coding?.[0]?.display || '',
-    address: addr ? formatAddress(addr) : null,
-    city: addr?.city || null,
-    postalCode: addr?.postalCode || null,
-    telecoms,
+    results: mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations),
+    next,
   };
 }
 
-function formatAddress(addr) {
-  if (!addr) return null;
-  const parts = [
-    ...(addr.line || []),
-    [addr.postalCode, addr.city].filter(Boolean).join(' '),
-    addr.country,
-  ].filter(Boolean);
-  return parts.join(', ');
-}
-
-// ─── Helpers ───
-
-async function fhirFetch(url, env) {
-  const apiKey = env.ESANTE_API_KEY || 'PLACEHOLDER_KEY';
-  const res = await fetch(url, {
-    headers: {
-      'Accept': 'application/fhir+json',
-      'ESANTE-API-KEY': apiKey,
-    },
-  });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`FHIR API ${res.status}: ${body.substring(0, 200)}`);
+// ─── Responses ───
+// plan : critères appliqués et comment ; résultats incomplets (budget, page de rôles pleine) : truncated + truncatedReason
+function searchResponse(data, plan, env) {
+  if (env.stream) {
+    // Mode flux : résultats pas encore envoyés, puis récapitulatif ; la réponse est déjà partie
+    const { results, ...summary } = data;
+    streamResults(results, plan, summary.location, env);
+    env.stream.write({ type: 'end', ...summary, facets: computeFacets(results), ...truncationFields(env.trace) });
+    return null;
   }
-  return res.json();
-}
-
-function corsHeaders() {
-  return {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
+  return jsonResponse({
+    ...data,
+    results: data.results.map(withFacets),
+    facets: computeFacets(data.results),
+    plan: describePlan(plan),
+    ...truncationFields(env.trace),
+  });
 }
 
-function jsonResponse(data, status = 200) {
-  return new Response(JSON.stringify(data, null, 2), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-    },
-  });
+// Un praticien est renvoyé s'il est nouveau ou si de nouveaux lieux d'exercice ont été trouvés
+function streamResults(results, plan, location, env) {
+  if (!env.stream.started) env.stream.write({ type: 'meta', plan: describePlan(plan), location });
+  for (const result of results) {
+    const version = result.roles?.length || 0;
+    if (env.streamed.get(result.id) === version) continue;
+    env.streamed.set(result.id, version);
+    env.stream.write({ type: 'result', result: withFacets(result) });
+  }
 }
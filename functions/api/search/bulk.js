@@ -0,0 +1,140 @@
+/**
+ * Cloudflare Pages Function — POST /api/search/bulk
+ * Recherche d'une liste de RPPS (JSON ou CSV) par lots de requêtes identifier=
+ *
+ * Body JSON : { "rpps": ["10101234567", ...] } ou ["10101234567", ...]
+ * Body CSV  : colonne "rpps" si présente, sinon premier numéro à 11 chiffres de chaque ligne
+ *
+ * Chaque lot coûte 1 sous-requête Practitioner et 1 ou 2 PractitionerRole (jusqu'à deux
+ * praticiens par RPPS) : une fois le budget de sous-requêtes épuisé (voir trace.js), les
+ * RPPS non traités sont renvoyés dans `remaining` pour un appel suivant.
+ */
+
+import { API_BASE, RPPS_SYSTEM, fhirFetch } from '../../_lib/fhir.js';
+import { withCache, withCacheHeaders } from '../../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../../_lib/http.js';
+import { parsePractitioner } from '../../_lib/parsers.js';
+import { fetchRolesForPractitioners, mergePractitionersAndRoles, rolesCost } from '../../_lib/directory.js';
+import { canAfford, truncate, truncationFields } from '../../_lib/trace.js';
+
+const BATCH_SIZE = 50;
+const MAX_INPUT = 5000;
+const RPPS_PATTERN = /^\d{11}$/;
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders('POST, OPTIONS') });
+  }
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'POST, OPTIONS' });
+  }
+
+  const env = withCache(context);
+  try {
+    let input;
+    try {
+      input = await readRppsList(request);
+    } catch (err) {
+      throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+    }
+
+    const { valid, invalid } = input;
+    if (!valid.length) {
+      const detail = invalid.length ? ` (${invalid.length} numéro${invalid.length > 1 ? 's' : ''} illisible${invalid.length > 1 ? 's' : ''})` : '';
+      throw new HttpError(400, `Aucun numéro RPPS valide fourni${detail}`, 'bad_request');
+    }
+    if (valid.length > MAX_INPUT) throw new HttpError(413, `Maximum ${MAX_INPUT} RPPS par envoi`, 'too_many_rows');
+
+    const results = [];
+    let processed = 0;
+    while (processed < valid.length) {
+      const batch = valid.slice(processed, processed + BATCH_SIZE);
+      // Budget réservé pour le pire cas de lookupBatch : _count = 2 praticiens par RPPS
+      if (!canAfford(env, 1 + rolesCost(batch.length * 2))) {
+        truncate(env, 'subrequest_budget', `${valid.length - processed} RPPS renvoyés dans remaining`);
+        break;
+      }
+      results.push(...await lookupBatch(batch, env));
+      processed += batch.length;
+    }
+    const toProcess = valid.slice(0, processed);
+    const remaining = valid.slice(processed);
+
+    const found = new Set(results.map(r => r.rpps));
+    const notFound = toProcess.filter(rpps => !found.has(rpps));
+
+    return withCacheHeaders(jsonResponse({
+      total: results.length,
+      requested: toProcess.length,
+      results,
+      notFound,
+      invalid,
+      remaining,
+      ...truncationFields(env.trace),
+    }), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+async function lookupBatch(rppsList, env) {
+  const params = new URLSearchParams();
+  params.set('identifier', rppsList.map(rpps => `${RPPS_SYSTEM}|${rpps}`).join(','));
+  params.set('_count', String(rppsList.length * 2));
+
+  const bundle = await fhirFetch(`${API_BASE}/Practitioner?${params}`, env);
+  if (!bundle.entry?.length) return [];
+
+  const practitioners = bundle.entry
+    .filter(e => e.resource?.resourceType === 'Practitioner')
+    .map(e => parsePractitioner(e.resource));
+  const roles = await fetchRolesForPractitioners(practitioners.map(p => p.id), env);
+  return mergePractitionersAndRoles(practitioners, roles.practitionerRoles, roles.organizations);
+}
+
+// ─── Input parsing ───
+
+async function readRppsList(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  const body = await request.text();
+
+  const raw = contentType.includes('json') || /^\s*[[{]/.test(body)
+    ? listFromJson(JSON.parse(body))
+    : listFromCsv(body);
+
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  for (const value of raw) {
+    const rpps = String(value ?? '').replace(/\s/g, '');
+    if (!rpps || seen.has(rpps)) continue;
+    seen.add(rpps);
+    (RPPS_PATTERN.test(rpps) ? valid : invalid).push(rpps);
+  }
+  return { valid, invalid };
+}
+
+function listFromJson(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.rpps)) return data.rpps;
+  throw new Error('attendu un tableau ou { "rpps": [...] }');
+}
+
+function listFromCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+
+  const separator = lines[0].includes(';') ? ';' : ',';
+  const splitLine = line => line.split(separator).map(c => c.trim().replace(/^"|"$/g, ''));
+  const header = splitLine(lines[0]).map(h => h.toLowerCase());
+  const rppsCol = header.findIndex(h => h.includes('rpps'));
+
+  if (rppsCol >= 0) {
+    return lines.slice(1).map(line => splitLine(line)[rppsCol]);
+  }
+  return lines
+    .map(line => line.match(/\b\d{11}\b/)?.[0])
+    .filter(Boolean);
+}
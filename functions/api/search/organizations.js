@@ -0,0 +1,74 @@
+/**
+ * Cloudflare Pages Function — /api/search/organizations
+ * Recherche de structures par nom, type, FINESS, SIRET et localisation (voir _lib/organizations.js)
+ *
+ * GET /api/search/organizations?name=Clinique&city=Lyon
+ * GET /api/search/organizations?type=EHPAD&postal_code=69006
+ * GET /api/search/organizations?finess=690000033
+ */
+
+import { API_BASE, fhirFetch } from '../../_lib/fhir.js';
+import { withCache, withCacheHeaders } from '../../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse } from '../../_lib/http.js';
+import { parseOrganization } from '../../_lib/parsers.js';
+import { resolveLocation, describeLocation } from '../../_lib/geo.js';
+import { readCursor, createPager, fhirUrlFromCursor } from '../../_lib/cursor.js';
+import { readOrganizationQuery, planOrganizationSearch, filterOrganizations } from '../../_lib/organizations.js';
+import { truncationFields } from '../../_lib/trace.js';
+
+// Paramètres recopiés dans le curseur de pagination
+const CRITERIA_PARAMS = ['name', 'type', 'finess', 'siret', 'city', 'insee', 'postal_code', 'department', 'radius', 'count'];
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders() });
+  }
+
+  const env = withCache(context);
+  try {
+    const url = new URL(request.url);
+    return withCacheHeaders(await handleOrganizationSearch(url.searchParams, env), env.cache);
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+async function handleOrganizationSearch(params, env) {
+  const token = params.get('next');
+  const cursor = token ? await readCursor(token, env) : null;
+  if (cursor) params = new URLSearchParams(cursor.q);
+
+  const criteria = {};
+  for (const key of CRITERIA_PARAMS) {
+    if (params.get(key)) criteria[key] = params.get(key);
+  }
+  const pager = createPager(criteria, cursor, env);
+
+  const query = readOrganizationQuery(params);
+  const location = await resolveLocation(params, env);
+  const count = Math.max(1, Math.min(parseInt(params.get('count') || '100', 10) || 100, 200));
+
+  const plan = planOrganizationSearch(query, location, count);
+  if (!plan) return jsonResponse({ error: 'Remplis au moins un critère de recherche (nom, type, FINESS, SIRET ou localisation)' }, 400);
+
+  const position = pager.position('organizations');
+  const bundle = await fhirFetch(position ? fhirUrlFromCursor(position.fhir) : `${API_BASE}/Organization?${plan.fhirParams}`, env);
+
+  const organizations = (bundle.entry || [])
+    .filter(e => e.resource?.resourceType === 'Organization')
+    .map(e => parseOrganization(e.resource));
+  const results = filterOrganizations(organizations, query, location);
+  const fhirNext = bundle.link?.find(l => l.relation === 'next')?.url || null;
+
+  return jsonResponse({
+    total: results.length,
+    totalFhir: bundle.total || 0,
+    location: describeLocation(location),
+    results,
+    nextPage: await pager.next('organizations', fhirNext && { fhir: fhirNext }),
+    plan: { strategy: plan.strategy, criteria: plan.criteria },
+    ...truncationFields(env.trace),
+  });
+}
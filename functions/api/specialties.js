@@ -0,0 +1,35 @@
+/**
+ * Cloudflare Pages Function — /api/specialties?q=xxx&kind=specialty|profession
+ * Référentiel des spécialités (TRE-R38) et professions (TRE-G15) avec synonymes
+ */
+
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../_lib/http.js';
+import { matchSpecialties } from '../_lib/specialties.js';
+
+const KINDS = ['specialty', 'profession'];
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders() });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const q = url.searchParams.get('q') || '';
+    const kind = url.searchParams.get('kind') || null;
+    // 0 à 200 entrées, 0 : référentiel entier ; valeur négative ou illisible : 0
+    const limit = Math.max(0, Math.min(parseInt(url.searchParams.get('limit') || '0', 10) || 0, 200));
+
+    if (kind && !KINDS.includes(kind)) {
+      throw new HttpError(400, `kind invalide : ${kind} (specialty ou profession)`, 'bad_request');
+    }
+
+    const results = matchSpecialties(q, { kind, limit });
+    // Référentiel statique : cacheable par le navigateur et l'edge
+    return jsonResponse({ total: results.length, results }, 200, { 'Cache-Control': 'public, max-age=86400' });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
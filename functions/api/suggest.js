@@ -0,0 +1,98 @@
+/**
+ * Cloudflare Pages Function — /api/suggest?q=xxx&limit=8
+ * Autocomplétion du nom : praticiens dont chaque mot saisi commence un mot du nom
+ * (nom ou prénoms, le dernier mot pouvant être incomplet), avec spécialité principale,
+ * ville et RPPS. Au plus 2 sous-requêtes (Practitioner?name puis leurs rôles) ;
+ * suggestions gardées 5 minutes en cache (session de cache.js et en-tête Cache-Control).
+ */
+
+import { API_BASE, fhirFetch } from '../_lib/fhir.js';
+import { withCache, withCacheHeaders } from '../_lib/cache.js';
+import { corsHeaders, jsonResponse, errorResponse } from '../_lib/http.js';
+import { parsePractitioner, isRoleCurrent } from '../_lib/parsers.js';
+import { fetchRolesForPractitioners, mergePractitionersAndRoles } from '../_lib/directory.js';
+import { rankResults } from '../_lib/ranking.js';
+import { findSpecialty } from '../_lib/specialties.js';
+import { normalizeText } from '../_lib/text.js';
+
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 80;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const CANDIDATES = 50; // praticiens demandés à la passerelle avant filtrage et classement
+const CACHE_SECONDS = 300;
+// Clé de cache des suggestions (TTL « suggest », voir cache.js)
+const SUGGEST_CACHE_URL = 'https://annuaire-sante.internal/suggest';
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders() });
+  }
+
+  const env = withCache(context);
+  try {
+    const url = new URL(request.url);
+    const q = (url.searchParams.get('q') || '').trim().slice(0, MAX_LENGTH);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '0', 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const tokens = normalizeText(q).split(' ').filter(Boolean);
+
+    if (tokens.join('').length < MIN_LENGTH) {
+      return jsonResponse({ query: q, total: 0, results: [] });
+    }
+
+    const cacheUrl = `${SUGGEST_CACHE_URL}?${new URLSearchParams({ q: tokens.join(' '), limit: String(limit) })}`;
+    let results = await env.cache.get(cacheUrl);
+    if (!results) {
+      results = await suggestPractitioners(q, tokens, limit, env);
+      await env.cache.put(cacheUrl, results);
+    }
+
+    return withCacheHeaders(
+      jsonResponse({ query: q, total: results.length, results }, 200, { 'Cache-Control': `public, max-age=${CACHE_SECONDS}` }),
+      env.cache,
+    );
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+async function suggestPractitioners(q, tokens, limit, env) {
+  // Le mot le plus long est le plus sélectif côté passerelle (recherche par préfixe)
+  const longest = tokens.reduce((a, b) => (b.length > a.length ? b : a));
+  const params = new URLSearchParams({ name: longest, _count: String(CANDIDATES) });
+  const bundle = await fhirFetch(`${API_BASE}/Practitioner?${params}`, env);
+
+  const candidates = (bundle.entry || [])
+    .filter(e => e.resource?.resourceType === 'Practitioner')
+    .map(e => parsePractitioner(e.resource))
+    .filter(p => matchesPrefixes(p, tokens));
+  const top = rankResults(candidates.map(p => ({ ...p, roles: [] })), { name: q }).slice(0, limit);
+  if (!top.length) return [];
+
+  const roles = await fetchRolesForPractitioners(top.map(p => p.id), env);
+  return mergePractitionersAndRoles(top, roles.practitionerRoles, roles.organizations).map(toSuggestion);
+}
+
+// Chaque mot saisi commence au moins un mot du nom ou des prénoms
+function matchesPrefixes(p, tokens) {
+  const words = normalizeText(`${p.lastName} ${p.firstName}`).split(' ').filter(Boolean);
+  return tokens.every(token => words.some(word => word.startsWith(token)));
+}
+
+// Spécialité et ville du premier lieu d'exercice en cours (à défaut, du premier lieu connu)
+function toSuggestion(p) {
+  const role = p.roles.find(r => isRoleCurrent(r)) || p.roles[0] || null;
+  const qualification = p.qualifications.find(q => findSpecialty(q.code)?.kind === 'specialty');
+  return {
+    id: p.id,
+    rpps: p.rpps,
+    prefix: p.prefix,
+    firstName: p.firstName,
+    lastName: p.lastName,
+    specialty: role?.specialties?.[0] || qualification?.display || role?.profession?.display || null,
+    city: role?.organization?.city || null,
+    postalCode: role?.organization?.postalCode || null,
+  };
+}
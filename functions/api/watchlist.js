@@ -0,0 +1,69 @@
+/**
+ * Cloudflare Pages Function — /api/watchlist
+ * Praticiens surveillés (voir functions/_lib/watchlist.js)
+ *
+ * GET    /api/watchlist                → praticiens suivis et date du dernier contrôle
+ * POST   /api/watchlist                → ajout { "rpps": ["10101234567", ...] }
+ * POST   /api/watchlist?action=run     → passage de contrôle immédiat (comme le Cron Trigger)
+ * DELETE /api/watchlist?rpps=xxx
+ */
+
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../_lib/http.js';
+import { listWatched, watchPractitioners, unwatchPractitioner, runWatchlist } from '../_lib/watchlist.js';
+
+const METHODS = 'GET, POST, DELETE, OPTIONS';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders(METHODS) });
+  }
+
+  // Pas de withCache : la surveillance doit voir l'annuaire tel qu'il est maintenant.
+  // La trace du middleware porte le budget de sous-requêtes (voir trace.js)
+  const tracedEnv = { ...env, trace: context.data?.trace || null };
+  try {
+    const params = new URL(request.url).searchParams;
+
+    switch (request.method) {
+      case 'GET': {
+        const results = await listWatched(env);
+        return jsonResponse({ total: results.length, results });
+      }
+      case 'POST': {
+        if (params.get('action') === 'run') {
+          checkRunToken(request, env);
+          return jsonResponse(await runWatchlist(tracedEnv));
+        }
+        const body = await readBody(request);
+        const rpps = Array.isArray(body) ? body : body?.rpps;
+        if (!Array.isArray(rpps)) throw new HttpError(400, 'attendu un tableau ou { "rpps": [...] }', 'bad_request');
+        return jsonResponse(await watchPractitioners(rpps, tracedEnv), 201);
+      }
+      case 'DELETE':
+        await unwatchPractitioner(params.get('rpps') || '', env);
+        return jsonResponse({ deleted: true });
+      default:
+        return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': METHODS });
+    }
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// Si WATCH_RUN_TOKEN est défini, le déclenchement manuel exige Authorization: Bearer <token>
+function checkRunToken(request, env) {
+  if (!env.WATCH_RUN_TOKEN) return;
+  if (request.headers.get('Authorization') !== `Bearer ${env.WATCH_RUN_TOKEN}`) {
+    throw new HttpError(401, 'Jeton de déclenchement invalide', 'unauthorized');
+  }
+}
+
+async function readBody(request) {
+  try {
+    return await request.json();
+  } catch (err) {
+    throw new HttpError(400, `Corps de requête illisible : ${err.message}`, 'bad_request');
+  }
+}
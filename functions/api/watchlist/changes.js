@@ -0,0 +1,33 @@
+/**
+ * Cloudflare Pages Function — /api/watchlist/changes?since=ISO&rpps=xxx
+ * Flux des changements détectés sur les praticiens surveillés, du plus récent au plus ancien
+ */
+
+import { corsHeaders, jsonResponse, errorResponse, HttpError } from '../../_lib/http.js';
+import { listChanges } from '../../_lib/watchlist.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders() });
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const since = params.get('since') || null;
+    if (since && Number.isNaN(Date.parse(since))) {
+      throw new HttpError(400, `Date invalide : ${since}`, 'bad_request');
+    }
+    const limit = Math.min(parseInt(params.get('limit') || '100', 10) || 100, 1000);
+
+    const results = await listChanges(env, {
+      since: since && new Date(since).toISOString(),
+      rpps: params.get('rpps') || null,
+      limit,
+    });
+    return jsonResponse({ total: results.length, since, results });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Enregistre des réponses de la passerelle FHIR pour le mode démo (FHIR_FIXTURES=1)
+ *
+ *   ESANTE_API_KEY=… node scripts/record-fixtures.mjs "/api/search?name=Dupont" "/api/practitioner?id=…"
+ *   ESANTE_API_KEY=… node scripts/record-fixtures.mjs --pages 3 "/api/organization?id=…&count=20"
+ *   ESANTE_API_KEY=… node scripts/record-fixtures.mjs 'POST /api/search/bulk {"rpps":["10101234567"]}'
+ *
+ * Chaque requête est rejouée sur sa Pages Function (functions/api/…) exécutée dans Node ;
+ * tous les appels à la passerelle, réponses d'erreur comprises, sont ajoutés au fichier
+ * de sortie (--out, fixtures/recorded.js par défaut) sous la clé lue par fixtures.js.
+ * --pages N suit jusqu'à N pages via nextPage. geo.api.gouv.fr n'est pas appelé : le
+ * mode démo utilise le jeu de communes embarqué, l'enregistrement aussi.
+ */
+
+import { existsSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { API_BASE, normalizeFhirUrl } from '../functions/_lib/fhir.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT = 'functions/_lib/fixtures/recorded.js';
+const KEPT_HEADERS = ['Retry-After'];
+
+const { out, pages, requests } = parseArgs(process.argv.slice(2));
+if (!process.env.ESANTE_API_KEY) fail('ESANTE_API_KEY requise pour interroger la passerelle');
+
+const outPath = path.resolve(ROOT, out);
+const fixtures = existsSync(outPath) ? { ...(await import(pathToFileURL(outPath))).default } : {};
+const env = { ESANTE_API_KEY: process.env.ESANTE_API_KEY, GEO_OFFLINE: '1' };
+
+// Toutes les sous-requêtes vers la passerelle sont copiées au passage
+const networkFetch = globalThis.fetch;
+globalThis.fetch = async (input, init) => {
+  const res = await networkFetch(input, init);
+  const url = String(input?.url || input);
+  if (url.startsWith(`${API_BASE}/`)) {
+    const key = normalizeFhirUrl(url).slice(API_BASE.length + 1);
+    fixtures[key] = await toFixture(res.clone());
+    console.log(`  ${res.status} ${key}`);
+  }
+  return res;
+};
+
+for (const req of requests) {
+  let target = req.path;
+  for (let page = 1; target && page <= pages; page++) {
+    console.log(`${req.method} ${target}`);
+    const data = await replay({ ...req, path: target });
+    const next = data?.nextPage;
+    target = next ? `${new URL(req.path, 'http://localhost').pathname}?next=${encodeURIComponent(next)}` : null;
+  }
+}
+
+await writeFile(outPath, render(fixtures));
+console.log(`${Object.keys(fixtures).length} réponses dans ${path.relative(ROOT, outPath)}`);
+
+// ─── Helpers ───
+
+function parseArgs(args) {
+  const options = { out: DEFAULT_OUT, pages: 1, requests: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') options.out = args[++i];
+    else if (args[i] === '--pages') options.pages = Math.max(1, parseInt(args[++i], 10) || 1);
+    else options.requests.push(parseRequest(args[i]));
+  }
+  if (!options.requests.length) fail('Usage : node scripts/record-fixtures.mjs [--out fichier] [--pages N] "/api/search?…" …');
+  return options;
+}
+
+// "GET /api/…" (méthode facultative), "POST /api/… {json}"
+function parseRequest(arg) {
+  const match = arg.match(/^(?:(GET|POST|PUT|DELETE) )?(\/api\/\S+)(?: (.+))?$/s);
+  if (!match) fail(`Requête illisible : ${arg}`);
+  return { method: match[1] || 'GET', path: match[2], body: match[3] || null };
+}
+
+async function replay({ method, path: target, body }) {
+  const url = new URL(target, 'http://localhost');
+  const file = path.join(ROOT, 'functions', `${url.pathname}.js`);
+  if (!existsSync(file)) fail(`Pas de Pages Function pour ${url.pathname}`);
+
+  const { onRequest } = await import(pathToFileURL(file));
+  const request = new Request(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body || undefined,
+  });
+  const response = await onRequest({ request, env, data: {}, waitUntil: () => {} });
+  console.log(`  → ${response.status}`);
+  return response.headers.get('Content-Type')?.includes('json') ? response.json() : null;
+}
+
+async function toFixture(res) {
+  const text = await res.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Corps non JSON (page d'erreur de la passerelle) gardé tel quel
+  }
+  const headers = Object.fromEntries(KEPT_HEADERS.filter(h => res.headers.has(h)).map(h => [h, res.headers.get(h)]));
+  return Object.keys(headers).length ? { status: res.status, headers, body } : { status: res.status, body };
+}
+
+// Clés triées : diffs lisibles d'un enregistrement à l'autre
+function render(data) {
+  const sorted = Object.fromEntries(Object.keys(data).sort().map(key => [key, data[key]]));
+  return `// Généré par scripts/record-fixtures.mjs — voir functions/_lib/fixtures.js\nexport default ${JSON.stringify(sorted, null, 2)};\n`;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
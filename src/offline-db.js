@@ -0,0 +1,145 @@
+/**
+ * Historique local et recherches en attente (IndexedDB), partagés par la page et le
+ * service worker (sw.js, importScripts) :
+ * - history : recherches lancées et fiches ouvertes, fiche complète comprise (consultable hors ligne)
+ *   { key: 'search:<paramètres>' | 'fiche:<rpps|adeli|id>:<valeur>', kind, label, detail, at, status, … }
+ * - queue : consultations demandées hors ligne, rejouées au retour du réseau { key, url, at }
+ * status : done | queued (en attente du réseau) | synced (rejouée, pas encore vue) | failed
+ */
+
+const AnnuaireDB = (() => {
+  const DB_NAME = 'annuaire';
+  const DB_VERSION = 1;
+  const MAX_HISTORY = 200; // entrées gardées, les plus anciennes supprimées au-delà
+
+  let opening = null;
+
+  function open() {
+    opening ||= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('history', { keyPath: 'key' }).createIndex('at', 'at');
+        db.createObjectStore('queue', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        opening = null;
+        reject(request.error);
+      };
+    });
+    return opening;
+  }
+
+  // fn(store) dans une transaction ; résout avec le résultat de la dernière requête renvoyée
+  async function run(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // ─── History ───
+
+  async function putHistory(entry) {
+    await run('history', 'readwrite', store => store.put({ status: 'done', ...entry, at: entry.at || new Date().toISOString() }));
+    await pruneHistory();
+  }
+
+  function getHistory(key) {
+    return run('history', 'readonly', store => store.get(key));
+  }
+
+  // Entrées de la plus récente à la plus ancienne
+  async function listHistory() {
+    const entries = await run('history', 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.at.localeCompare(a.at));
+  }
+
+  async function pruneHistory() {
+    const entries = await listHistory();
+    if (entries.length <= MAX_HISTORY) return;
+    await run('history', 'readwrite', store => {
+      for (const entry of entries.slice(MAX_HISTORY)) store.delete(entry.key);
+    });
+  }
+
+  async function clearHistory() {
+    await run('history', 'readwrite', store => store.clear());
+    await run('queue', 'readwrite', store => store.clear());
+  }
+
+  // Entrées rejouées (synced) marquées comme vues
+  async function markHistorySeen() {
+    const synced = (await listHistory()).filter(e => e.status === 'synced');
+    if (!synced.length) return;
+    await run('history', 'readwrite', store => {
+      for (const entry of synced) store.put({ ...entry, status: 'done' });
+    });
+  }
+
+  // ─── Queue ───
+
+  // Consultation à rejouer ; l'entrée d'historique correspondante passe « en attente »
+  async function queueLookup(entry, url) {
+    await putHistory({ ...entry, status: 'queued' });
+    await run('queue', 'readwrite', store => store.put({ key: entry.key, url, at: new Date().toISOString() }));
+  }
+
+  /**
+   * Rejoue les consultations en attente, dans l'ordre de la demande. onResponse(item, response)
+   * (facultatif) reçoit chaque réponse réussie. S'arrête à la première panne réseau ; une
+   * erreur HTTP retire la consultation (entrée « failed »). → entrées d'historique rejouées
+   */
+  async function replayQueue(onResponse = null) {
+    const items = (await run('queue', 'readonly', store => store.getAll())).sort((a, b) => a.at.localeCompare(b.at));
+    const replayed = [];
+    for (const item of items) {
+      let response;
+      try {
+        response = await fetch(item.url, { headers: { 'Accept': 'application/json' } });
+      } catch {
+        break;
+      }
+      const data = await response.clone().json().catch(() => ({}));
+      const entry = (await getHistory(item.key)) || { key: item.key, kind: item.key.split(':')[0], label: item.url };
+      const updated = response.ok
+        ? { ...entry, ...summarize(entry.kind, data), status: 'synced', at: new Date().toISOString() }
+        : { ...entry, status: 'failed', error: data.error || `Erreur ${response.status}` };
+      if (response.ok && onResponse) await onResponse(item, response);
+      await putHistory(updated);
+      await run('queue', 'readwrite', store => store.delete(item.key));
+      replayed.push(updated);
+    }
+    return replayed;
+  }
+
+  function countQueued() {
+    return run('queue', 'readonly', store => store.count());
+  }
+
+  // Réponse /api/search (total) ou /api/practitioner (fiche) → champs de l'entrée d'historique
+  function summarize(kind, data) {
+    if (kind === 'search') return { total: data.results?.length ?? data.total ?? 0 };
+    return ficheEntry(data);
+  }
+
+  // Praticien fusionné → champs d'une entrée « fiche »
+  function ficheEntry(p) {
+    const role = (p.roles || []).find(r => r.organization) || p.roles?.[0];
+    const specialty = p.roles?.flatMap(r => r.specialties || [])[0] || role?.profession?.display || '';
+    return {
+      id: p.id,
+      rpps: p.rpps || null,
+      label: [p.prefix, p.firstName, p.lastName].filter(Boolean).join(' '),
+      detail: [specialty, role?.organization?.city].filter(Boolean).join(' · '),
+      data: p,
+    };
+  }
+
+  return { putHistory, getHistory, listHistory, clearHistory, markHistorySeen, queueLookup, replayQueue, countQueued, ficheEntry };
+})();
@@ -0,0 +1,127 @@
+/**
+ * Service worker — application utilisable sans réseau (services hospitaliers, zones blanches)
+ * - coquille : index.html, manifeste, icône, offline-db.js et bibliothèques des CDN mis en
+ *   cache à l'installation ; page servie depuis le réseau d'abord, depuis le cache sinon
+ * - /api/practitioner : dernières fiches consultées (réseau d'abord, cache hors ligne) ;
+ *   /api/specialties : référentiel servi depuis le cache puis rafraîchi
+ * - autres /api/* : réseau uniquement (la page met les consultations en attente, voir offline-db.js)
+ * - Background Sync « annuaire-lookups » : consultations en attente rejouées au retour du réseau
+ *   (sans Background Sync, la page les rejoue elle-même à l'événement online)
+ */
+
+importScripts('/offline-db.js');
+
+const VERSION = 'v1';
+const SHELL_CACHE = `annuaire-shell-${VERSION}`;
+const API_CACHE = `annuaire-api-${VERSION}`;
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/offline-db.js'];
+const CDN_ASSETS = [
+  'https://cdn.tailwindcss.com',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+];
+// Hôtes dont les fichiers statiques sont gardés au fil de l'eau (polices comprises) ; pas les tuiles de carte
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const MAX_FICHES = 100;
+const SYNC_TAG = 'annuaire-lookups';
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL);
+    // CDN injoignable : l'installation aboutit quand même, le fichier sera gardé à sa première lecture
+    // (réponses opaques : cache.put, cache.add les refuse)
+    await Promise.all(CDN_ASSETS.map(url => fetch(new Request(url, { mode: 'no-cors' }))
+      .then(response => cache.put(url, response))
+      .catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, API_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('annuaire-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.origin === self.location.origin && url.pathname === '/api/practitioner') {
+    event.respondWith(networkFirst(request, API_CACHE).then(async response => {
+      await trimFiches();
+      return response;
+    }));
+  } else if (url.origin === self.location.origin && url.pathname === '/api/specialties') {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE));
+  } else if (url.origin === self.location.origin ? !url.pathname.startsWith('/api/') : CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(syncLookups());
+});
+
+// ─── Strategies ───
+
+// Réseau d'abord ; hors ligne, copie en cache (fallbackKey : page d'accueil pour toute navigation)
+async function networkFirst(request, cacheName, fallbackKey = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(fallbackKey || request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackKey || request, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Copie en cache tout de suite, rafraîchie en arrière-plan ; sans copie, attend le réseau
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then(async response => {
+    if (response.ok || response.type === 'opaque') await cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+// Garde les MAX_FICHES dernières fiches (ordre d'insertion du cache)
+async function trimFiches() {
+  const cache = await caches.open(API_CACHE);
+  const fiches = (await cache.keys()).filter(request => new URL(request.url).pathname === '/api/practitioner');
+  for (const request of fiches.slice(0, Math.max(0, fiches.length - MAX_FICHES))) await cache.delete(request);
+}
+
+// ─── Queued lookups ───
+
+async function syncLookups() {
+  const cache = await caches.open(API_CACHE);
+  const replayed = await AnnuaireDB.replayQueue(async (item, response) => {
+    if (new URL(item.url, self.location.origin).pathname === '/api/practitioner') {
+      await cache.put(new URL(item.url, self.location.origin).href, response.clone());
+    }
+  });
+  if (!replayed.length) return;
+  for (const client of await self.clients.matchAll({ type: 'window' })) {
+    client.postMessage({ type: 'lookups-synced', entries: replayed.map(({ key, kind, label, status }) => ({ key, kind, label, status })) });
+  }
+}
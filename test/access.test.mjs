@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callApi, ROUTES } from './helpers.mjs';
+import { takeToken } from '../functions/_lib/ratelimit.js';
+
+// /api/suggest avec moins de 2 caractères répond sans appeler la passerelle
+const CHEAP = '/api/suggest?q=a';
+
+test('limite de débit : 429 too_many_requests avec Retry-After et RateLimit-*', async () => {
+  const options = { env: { RATE_LIMIT: '2' }, headers: { 'CF-Connecting-IP': '203.0.113.10' } };
+  const first = await callApi(CHEAP, options);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('RateLimit-Policy'), '2;w=60');
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  assert.equal((await callApi(CHEAP, options)).status, 200);
+
+  const limited = await callApi(CHEAP, options);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'too_many_requests');
+  assert.equal(limited.headers.get('RateLimit-Remaining'), '0');
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+
+  // Autre IP : seau distinct
+  const other = await callApi(CHEAP, { ...options, headers: { 'CF-Connecting-IP': '203.0.113.11' } });
+  assert.equal(other.status, 200);
+});
+
+test('limite de débit : seau rechargé en continu', () => {
+  const now = 1_000_000;
+  assert.equal(takeToken('test:recharge', 60, now).allowed, true);
+  for (let i = 0; i < 59; i++) takeToken('test:recharge', 60, now);
+
+  const empty = takeToken('test:recharge', 60, now);
+  assert.equal(empty.allowed, false);
+  assert.equal(empty.retryAfter, 1);
+  // 60 par minute : un jeton par seconde
+  assert.equal(takeToken('test:recharge', 60, now + 1000).allowed, true);
+});
+
+test('clés consommateurs : limite propre, clé inconnue refusée', async () => {
+  const env = { API_KEYS: 'crm:cle-du-crm-0123456789:5' };
+  const known = await callApi(CHEAP, { env, headers: { 'X-API-Key': 'cle-du-crm-0123456789' } });
+  assert.equal(known.status, 200);
+  assert.equal(known.headers.get('RateLimit-Limit'), '5');
+
+  const unknown = await callApi(CHEAP, { env, headers: { 'X-API-Key': 'cle-inconnue-0123456789' } });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.code, 'invalid_api_key');
+});
+
+test('CORS : origine de ALLOWED_ORIGINS acceptée, autre origine refusée', async () => {
+  const env = { ALLOWED_ORIGINS: 'https://crm.example.fr, https://rh.example.fr' };
+  const allowed = await callApi(CHEAP, { env, headers: { 'Origin': 'https://crm.example.fr' } });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), 'https://crm.example.fr');
+  assert.equal(allowed.headers.get('Vary'), 'Origin');
+  assert.match(allowed.headers.get('Access-Control-Expose-Headers'), /Retry-After/);
+
+  const rejected = await callApi(CHEAP, { env, headers: { 'Origin': 'https://autre.example.fr' } });
+  assert.equal(rejected.status, 403);
+  assert.equal(rejected.body.code, 'origin_not_allowed');
+  assert.equal(rejected.headers.get('Access-Control-Allow-Origin'), null);
+
+  // Même origine : pas d'en-tête CORS, pas de refus
+  const sameOrigin = await callApi(CHEAP, { env, headers: { 'Origin': 'https://annuaire.test' } });
+  assert.equal(sameOrigin.status, 200);
+  assert.equal(sameOrigin.headers.get('Access-Control-Allow-Origin'), null);
+
+  const any = await callApi(CHEAP, { env: { ALLOWED_ORIGINS: '*' }, headers: { 'Origin': 'https://autre.example.fr' } });
+  assert.equal(any.headers.get('Access-Control-Allow-Origin'), '*');
+});
+
+test('préflight CORS : 204 sur chaque route, sans paramètre ni jeton consommé', async () => {
+  const env = { ALLOWED_ORIGINS: 'https://crm.example.fr', RATE_LIMIT: '1' };
+  const headers = {
+    'Origin': 'https://crm.example.fr',
+    'Access-Control-Request-Method': 'GET',
+    'Access-Control-Request-Headers': 'X-API-Key',
+    'CF-Connecting-IP': '203.0.113.20',
+  };
+  for (const path of Object.keys(ROUTES)) {
+    const { status, headers: response } = await callApi(path, { method: 'OPTIONS', env, headers });
+    assert.equal(status, 204, path);
+    assert.equal(response.get('Access-Control-Allow-Origin'), 'https://crm.example.fr', path);
+    assert.match(response.get('Access-Control-Allow-Headers'), /X-API-Key/, path);
+    assert.match(response.get('Access-Control-Allow-Methods'), /GET/, path);
+  }
+
+  const rejected = await callApi('/api/practitioner', { method: 'OPTIONS', env, headers: { ...headers, 'Origin': 'https://autre.example.fr' } });
+  assert.equal(rejected.status, 403);
+  assert.equal(rejected.body.code, 'origin_not_allowed');
+});
+
+test('configuration invalide : 500 config_error sans appel à la passerelle', async () => {
+  for (const env of [
+    { RATE_LIMIT: 'beaucoup' },
+    { SUBREQUEST_LIMIT: '0' },
+    { API_KEYS: 'crm:courte' },
+    { ALLOWED_ORIGINS: 'crm.example.fr' },
+  ]) {
+    const { status, headers, body } = await callApi('/api/search?name=Dupont', { env });
+    assert.equal(status, 500, JSON.stringify(env));
+    assert.equal(body.code, 'config_error');
+    assert.ok(headers.get('X-Request-Id'));
+  }
+});
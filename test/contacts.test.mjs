@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, normalizeEmail, parseAddress, dedupePractitionerContacts } from '../functions/_lib/contacts.js';
+import { parseTelecoms, parseOrganization } from '../functions/_lib/parsers.js';
+import { diffSnapshots, snapshotRecord } from '../functions/_lib/watchlist.js';
+
+test('téléphones : E.164 et affichage à la française', () => {
+  for (const raw of ['0142000111', '01 42 00 01 11', '01.42.00.01.11', '+33 1 42 00 01 11', '+33 (0)1 42 00 01 11', '0033142000111']) {
+    assert.deepEqual(normalizePhone(raw), { value: '+33142000111', display: '01 42 00 01 11', valid: true }, raw);
+  }
+  assert.deepEqual(normalizePhone('0590 12 34 56'), { value: '+590590123456', display: '05 90 12 34 56', valid: true });
+  assert.deepEqual(normalizePhone('0692 11 22 33'), { value: '+262692112233', display: '06 92 11 22 33', valid: true });
+  assert.deepEqual(normalizePhone('+44 20 7946 0958'), { value: '+442079460958', display: '+442079460958', valid: true });
+  assert.deepEqual(normalizePhone('poste 12'), { value: 'poste 12', display: 'poste 12', valid: false });
+});
+
+test('e-mails : minuscules et validation', () => {
+  assert.deepEqual(normalizeEmail(' Cabinet.Martin@Exemple.FR '), { value: 'cabinet.martin@exemple.fr', display: 'cabinet.martin@exemple.fr', valid: true });
+  assert.equal(normalizeEmail('mailto:secretariat@exemple.fr').value, 'secretariat@exemple.fr');
+  assert.equal(normalizeEmail('secretariat@').valid, false);
+});
+
+test('telecom : doublons sous deux écritures fusionnés', () => {
+  const { telecoms, mssMailboxes } = parseTelecoms([
+    { system: 'phone', value: '0142000111', use: 'work' },
+    { system: 'phone', value: '+33 1 42 00 01 11' },
+    { system: 'email', value: 'Accueil@Exemple.fr' },
+    { system: 'email', value: 'accueil@exemple.fr' },
+    { system: 'email', value: 'Marie.Dupont@medecin.mssante.fr' },
+  ]);
+  assert.deepEqual(telecoms.map(t => `${t.system}:${t.value}`), ['phone:+33142000111', 'email:accueil@exemple.fr']);
+  assert.equal(telecoms[0].use, 'work');
+  assert.deepEqual(mssMailboxes.map(m => m.address), ['marie.dupont@medecin.mssante.fr']);
+});
+
+test('adresses structurées : voie, code postal, commune INSEE, pays', () => {
+  assert.deepEqual(parseAddress({ line: ['12  rue de la Roquette', ''], postalCode: '75 011', city: 'Paris' }), {
+    lines: ['12 rue de la Roquette'],
+    street: '12 rue de la Roquette',
+    postalCode: '75011',
+    city: 'Paris',
+    cityCode: '75056',
+    country: 'FR',
+  });
+
+  const withExtension = parseAddress({
+    line: ['1 place Bellecour'], postalCode: '69002', city: 'LYON 2E',
+    _city: { extension: [{ url: 'https://hl7.fr/ig/fhir/core/StructureDefinition/fr-core-address-insee-code', valueCoding: { code: '69382' } }] },
+  });
+  assert.equal(withExtension.cityCode, '69382');
+
+  const abroad = parseAddress({ line: ['Rue du Rhône 1'], postalCode: '1204', city: 'Genève', country: 'ch' });
+  assert.equal(abroad.cityCode, null);
+  assert.equal(abroad.country, 'CH');
+
+  const org = parseOrganization({ id: 'o', name: 'Cabinet', address: [{ line: ['3 rue Neuve'], postalCode: '69006', city: 'Lyon' }] });
+  assert.equal(org.street, '3 rue Neuve');
+  assert.equal(org.postalAddress.cityCode, '69123');
+});
+
+test('praticien : structures et coordonnées dédoublonnées sur tous les rôles', () => {
+  const org = { id: 'org-1', finess: '750000001', name: 'Centre' };
+  const sameFiness = { id: 'org-2', finess: '750000001', name: 'Centre (doublon)' };
+  const other = { id: 'org-3', name: 'Cabinet' };
+  const phone = { system: 'phone', value: '+33142000111', display: '01 42 00 01 11', valid: true };
+  const { organizations, contacts } = dedupePractitionerContacts({ telecoms: [phone] }, [
+    { organization: org, telecoms: [phone] },
+    { organization: sameFiness, telecoms: [{ system: 'fax', value: '+33142000112' }] },
+    { organization: other, telecoms: [] },
+    { organization: org, telecoms: [phone] },
+  ]);
+  assert.deepEqual(organizations.map(o => o.id), ['org-1', 'org-3']);
+  assert.deepEqual(contacts.map(t => `${t.system}:${t.value}`), ['phone:+33142000111', 'fax:+33142000112']);
+});
+
+test('surveillance : un instantané aux valeurs brutes ne produit pas de faux changement', () => {
+  const snapshot = telecoms => ({ identity: {}, roles: {}, organizations: {}, telecoms });
+  const before = snapshot(['email:Marie.Dupont@demo.mssante.fr', 'phone:01 43 00 01 11']);
+  const after = snapshot(['email:marie.dupont@demo.mssante.fr', 'phone:+33143000111']);
+  assert.deepEqual(diffSnapshots(before, after), []);
+
+  const changed = diffSnapshots(before, snapshot(['email:marie.dupont@demo.mssante.fr', 'phone:+33143000999']));
+  assert.deepEqual(changed, [{ category: 'telecoms', path: 'telecoms', added: ['phone:+33143000999'], removed: ['phone:+33143000111'] }]);
+});
+
+test('surveillance : coordonnées du praticien lui-même suivies', () => {
+  const record = telecoms => ({
+    id: 'pr-1',
+    telecoms,
+    mssMailboxes: [{ address: 'marie.dupont@demo.mssante.fr' }],
+    roles: [{ id: 'role-1', active: true, telecoms: [{ system: 'phone', value: '+33143000111' }], mssMailboxes: [] }],
+  });
+  const before = snapshotRecord(record([{ system: 'phone', value: '+33143000222' }]));
+  assert.deepEqual(before.telecoms, ['email:marie.dupont@demo.mssante.fr', 'phone:+33143000111', 'phone:+33143000222']);
+
+  const after = snapshotRecord(record([{ system: 'phone', value: '+33143000333' }]));
+  assert.deepEqual(diffSnapshots(before, after), [
+    { category: 'telecoms', path: 'telecoms', added: ['phone:+33143000333'], removed: ['phone:+33143000222'] },
+  ]);
+});
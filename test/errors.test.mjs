@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callApi } from './helpers.mjs';
+
+test('429 de la passerelle : rate_limited et Retry-After transmis', async () => {
+  const { status, headers, body } = await callApi('/api/search?name=Surcharge');
+  assert.equal(status, 429);
+  assert.equal(body.code, 'rate_limited');
+  assert.equal(headers.get('Retry-After'), '30');
+});
+
+test('503 persistant : retries puis upstream_unavailable', async () => {
+  const { status, headers, body } = await callApi('/api/search?name=Indisponible');
+  assert.equal(status, 503);
+  assert.equal(body.code, 'upstream_unavailable');
+  // 1 appel + 2 retries, visibles dans Server-Timing
+  assert.match(headers.get('Server-Timing'), /desc="3 appels/);
+});
+
+test('401 de la passerelle : clé refusée, 502 côté client', async () => {
+  const { status, body } = await callApi('/api/search?name=Clefausse');
+  assert.equal(status, 502);
+  assert.equal(body.code, 'bad_api_key');
+});
+
+test('404 : praticien et structure inconnus', async () => {
+  const practitioner = await callApi('/api/practitioner?id=demo-pr-999');
+  assert.equal(practitioner.status, 404);
+  assert.equal(practitioner.body.code, 'not_found');
+
+  const organization = await callApi('/api/organization?id=demo-org-999');
+  assert.equal(organization.status, 404);
+});
+
+test('réponse non enregistrée : erreur explicite plutôt qu\'un appel réseau', async () => {
+  const { status, body } = await callApi('/api/search?name=Inconnu');
+  assert.equal(status, 502);
+  assert.equal(body.code, 'upstream_error');
+  assert.match(body.error, /Aucune réponse enregistrée pour Practitioner\?_count=200&family=Inconnu/);
+});
+
+test('sans FHIR_FIXTURES, ESANTE_API_KEY reste obligatoire', async () => {
+  const { status, body } = await callApi('/api/search?name=Dupont', { env: { FHIR_FIXTURES: undefined } });
+  assert.equal(status, 500);
+  assert.equal(body.code, 'config_error');
+});
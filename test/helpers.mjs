@@ -0,0 +1,68 @@
+/**
+ * Appels des Pages Functions /api en mode démo (FHIR_FIXTURES=1), middleware compris :
+ * mêmes en-têtes, mêmes erreurs qu'en production, réponses FHIR lues dans fixtures/demo.js
+ */
+
+import { mock } from 'node:test';
+import { onRequest as middleware } from '../functions/api/_middleware.js';
+import { onRequest as search } from '../functions/api/search.js';
+import { onRequest as bulk } from '../functions/api/search/bulk.js';
+import { onRequest as organizations } from '../functions/api/search/organizations.js';
+import { onRequest as practitioner } from '../functions/api/practitioner.js';
+import { onRequest as reconcile } from '../functions/api/reconcile.js';
+import { onRequest as organization } from '../functions/api/organization.js';
+import { onRequest as exportList } from '../functions/api/export.js';
+import { onRequest as geocode } from '../functions/api/geocode.js';
+import { onRequest as suggest } from '../functions/api/suggest.js';
+import { onRequest as watchlist } from '../functions/api/watchlist.js';
+import { onRequest as watchlistChanges } from '../functions/api/watchlist/changes.js';
+import { onRequest as lists } from '../functions/api/lists.js';
+import { onRequest as specialties } from '../functions/api/specialties.js';
+
+export const ROUTES = {
+  '/api/search': search,
+  '/api/search/bulk': bulk,
+  '/api/search/organizations': organizations,
+  '/api/practitioner': practitioner,
+  '/api/reconcile': reconcile,
+  '/api/organization': organization,
+  '/api/export': exportList,
+  '/api/geocode': geocode,
+  '/api/suggest': suggest,
+  '/api/watchlist': watchlist,
+  '/api/watchlist/changes': watchlistChanges,
+  '/api/lists': lists,
+  '/api/specialties': specialties,
+};
+
+export const DEMO_ENV = { FHIR_FIXTURES: '1', RATE_LIMIT: '10000' };
+
+// Journal JSON des requêtes (trace.js) : inutile dans la sortie des tests
+mock.method(console, 'log', () => {});
+
+export async function callApi(path, { method = 'GET', body = null, headers = {}, env = {} } = {}) {
+  const url = new URL(path, 'https://annuaire.test');
+  const handler = ROUTES[url.pathname];
+  if (!handler) throw new Error(`Route non déclarée dans test/helpers.mjs : ${url.pathname}`);
+
+  const request = new Request(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const context = { request, env: { ...DEMO_ENV, ...env }, data: {}, waitUntil: () => {} };
+  context.next = () => handler(context);
+
+  const response = await middleware(context);
+  const json = (response.headers.get('Content-Type') || '').includes('application/json');
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: json ? await response.json() : await response.text(),
+  };
+}
+
+// Page suivante d'une recherche paginée (curseur nextPage)
+export function nextPage(path, token) {
+  return callApi(`${new URL(path, 'https://annuaire.test').pathname}?next=${encodeURIComponent(token)}`);
+}
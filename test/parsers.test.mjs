@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import demo from '../functions/_lib/fixtures/demo.js';
+import { parsePractitioner, parsePractitionerRole, parseOrganization, formatAddress, isRoleCurrent } from '../functions/_lib/parsers.js';
+
+// Ressources du jeu démo, telles que renvoyées par la passerelle
+const resources = Object.values(demo)
+  .filter(f => f.status === 200)
+  .flatMap(f => f.body.resourceType === 'Bundle' ? f.body.entry.map(e => e.resource) : [f.body]);
+const find = (type, id) => resources.find(r => r.resourceType === type && r.id === id);
+
+test('parsePractitioner : identité, RPPS et qualifications', () => {
+  const p = parsePractitioner(find('Practitioner', 'demo-pr-002'));
+  assert.equal(p.rpps, '10100000029');
+  assert.equal(p.lastName, 'DUPONT');
+  assert.equal(p.firstName, 'Jean Michel');
+  assert.equal(p.prefix, 'Dr');
+  assert.equal(p.active, true);
+  assert.deepEqual(p.qualifications.map(q => q.code), ['10', 'SM54']);
+});
+
+test('parsePractitioner : historique des qualifications et BAL MSSanté', () => {
+  const p = parsePractitioner(find('Practitioner', 'demo-pr-001'));
+  const diploma = p.qualifications.find(q => q.code === 'DE28');
+  assert.equal(diploma.issuer, 'Université Paris Cité');
+  assert.deepEqual(diploma.period, { start: '2008-06-30', end: null });
+  assert.deepEqual(p.qualifications.find(q => q.code === 'SM04').period, { start: '2012-09-01', end: null });
+
+  assert.deepEqual(p.telecoms, []);
+  assert.deepEqual(p.mssMailboxes, [{
+    address: 'marie.dupont@medecin.mssante.fr', type: 'PER', description: 'BAL personnelle', service: 'Cardiologie',
+  }]);
+});
+
+test('parsePractitioner : ADELI seul, praticien inactif', () => {
+  const adeli = parsePractitioner(find('Practitioner', 'demo-pr-006'));
+  assert.equal(adeli.rpps, null);
+  assert.deepEqual(adeli.identifiers.map(i => i.type), ['ADELI']);
+
+  assert.equal(parsePractitioner(find('Practitioner', 'demo-pr-007')).active, false);
+});
+
+test('parsePractitioner : ressource minimale', () => {
+  const p = parsePractitioner({ resourceType: 'Practitioner', id: 'x' });
+  assert.deepEqual(
+    { lastName: p.lastName, firstName: p.firstName, rpps: p.rpps, identifiers: p.identifiers, active: p.active },
+    { lastName: '', firstName: '', rpps: null, identifiers: [], active: true },
+  );
+});
+
+test('parsePractitionerRole : références, spécialités et télécoms', () => {
+  const role = parsePractitionerRole(find('PractitionerRole', 'demo-role-001'));
+  assert.equal(role.practitionerId, 'demo-pr-001');
+  assert.equal(role.organizationId, 'demo-org-001');
+  assert.deepEqual(role.specialties, ['Cardiologie et Maladies vasculaires']);
+  // Adresse @…mssante.fr : boîte MSSanté, pas un e-mail ordinaire
+  assert.deepEqual(role.telecoms.map(t => t.system), ['phone']);
+  assert.deepEqual(role.mssMailboxes.map(m => m.address), ['marie.dupont@demo.mssante.fr']);
+
+  assert.equal(parsePractitionerRole(find('PractitionerRole', 'demo-role-008')).active, false);
+});
+
+test('parsePractitionerRole : nomenclatures ANS, période et lieux', () => {
+  const role = parsePractitionerRole(find('PractitionerRole', 'demo-role-001'));
+  assert.deepEqual(role.profession, { code: '10', display: 'Médecin' });
+  assert.deepEqual(role.practiceMode, { code: 'L', display: 'Libéral' });
+  // Secteur porté par une extension du profil
+  assert.equal(role.sector.code, 'SA07');
+  assert.deepEqual(role.period, { start: '2012-09-01', end: null });
+  assert.deepEqual(role.locations, [{ id: 'demo-loc-001', name: 'Cabinet de cardiologie, 2e étage' }]);
+
+  const coordinator = parsePractitionerRole(find('PractitionerRole', 'demo-role-002'));
+  assert.equal(coordinator.function.display, 'Médecin coordonnateur');
+  assert.equal(parsePractitionerRole(find('PractitionerRole', 'demo-role-004')).period, null);
+});
+
+test('parsePractitionerRole : libellé du mode d\'exercice absent', () => {
+  const role = parsePractitionerRole({
+    resourceType: 'PractitionerRole',
+    id: 'x',
+    code: [{ coding: [{ system: 'https://mos.esante.gouv.fr/NOS/TRE_R23-ModeExercice/FHIR/TRE-R23-ModeExercice', code: 'B' }] }],
+  });
+  assert.deepEqual(role.practiceMode, { code: 'B', display: 'Bénévole' });
+  assert.equal(role.profession, null);
+});
+
+test('isRoleCurrent : actif et période non terminée', () => {
+  assert.equal(isRoleCurrent({ active: true, period: null }), true);
+  assert.equal(isRoleCurrent({ active: true, period: { end: '2019-12-31' } }, '2026-01-01'), false);
+  assert.equal(isRoleCurrent({ active: true, period: { end: '2026-01-01' } }, '2026-01-01'), true);
+  assert.equal(isRoleCurrent({ active: false, period: null }), false);
+});
+
+test('parseOrganization : adresse et identifiants FINESS / SIRET', () => {
+  const clinic = parseOrganization(find('Organization', 'demo-org-003'));
+  assert.equal(clinic.finess, '690000033');
+  assert.equal(clinic.postalCode, '69006');
+  assert.equal(clinic.address, '155 boulevard de Stalingrad, 69006 Lyon, FRANCE');
+  assert.equal(clinic.type, 'Etablissement de Soins Pluridisciplinaire');
+
+  const office = parseOrganization(find('Organization', 'demo-org-001'));
+  assert.equal(office.siret, '90000000000011');
+  assert.equal(office.finess, null);
+});
+
+test('formatAddress : parties absentes ignorées', () => {
+  assert.equal(formatAddress({ city: 'Lyon' }), 'Lyon');
+  assert.equal(formatAddress(null), null);
+});
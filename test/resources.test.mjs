@@ -0,0 +1,322 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callApi, nextPage } from './helpers.mjs';
+import { geocodeAddresses } from '../functions/_lib/geocode.js';
+import { createTrace } from '../functions/_lib/trace.js';
+
+test('fiche praticien : rôles dans deux structures', async () => {
+  const { status, body } = await callApi('/api/practitioner?id=demo-pr-002');
+  assert.equal(status, 200);
+  assert.equal(body.rpps, '10100000029');
+  assert.deepEqual(body.roles.map(r => r.organization.city).sort(), ['Lyon', 'Paris']);
+  assert.deepEqual(body.organizations.map(o => o.postalAddress.cityCode).sort(), ['69123', '75056']);
+  assert.deepEqual(body.contacts, [{ system: 'phone', value: '+33143000222', display: '01 43 00 02 22', valid: true, use: 'work' }]);
+});
+
+test('fiche praticien par RPPS : BAL MSSanté et Location', async () => {
+  const { status, body } = await callApi('/api/practitioner?rpps=10100000011');
+  assert.equal(status, 200);
+  assert.equal(body.id, 'demo-pr-001');
+  assert.deepEqual(body.mssMailboxes.map(m => m.address).sort(), [
+    'marie.dupont@demo.mssante.fr',
+    'marie.dupont@medecin.mssante.fr',
+  ]);
+  assert.ok(!body.roles[0].telecoms.some(t => t.system === 'email'));
+  assert.deepEqual(body.roles[0].locations[0], {
+    id: 'demo-loc-001',
+    name: 'Cabinet de cardiologie, 2e étage',
+    address: '12 rue de la Roquette, 75011 Paris',
+    postalAddress: {
+      lines: ['12 rue de la Roquette'],
+      street: '12 rue de la Roquette',
+      postalCode: '75011',
+      city: 'Paris',
+      cityCode: '75056',
+      country: 'FR',
+    },
+    postalCode: '75011',
+    city: 'Paris',
+    telecoms: [{ system: 'phone', value: '+33143000199', display: '01 43 00 01 99', valid: true }],
+    active: true,
+  });
+});
+
+test('fiche praticien par ADELI, numéros inconnus ou invalides', async () => {
+  const adeli = await callApi('/api/practitioner?adeli=691234567');
+  assert.equal(adeli.status, 200);
+  assert.equal(adeli.body.lastName, 'PETIT');
+
+  const unknown = await callApi('/api/practitioner?rpps=10199999999');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'not_found');
+
+  assert.equal((await callApi('/api/practitioner?rpps=123')).status, 400);
+  assert.equal((await callApi('/api/practitioner')).status, 400);
+});
+
+test('structure : praticiens actifs paginés', async () => {
+  const first = await callApi('/api/organization?id=demo-org-001&count=1');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.organization.siret, '90000000000011');
+  assert.equal(first.body.totalFhir, 2);
+  assert.ok(first.body.nextPage);
+
+  const second = await nextPage('/api/organization', first.body.nextPage);
+  assert.equal(second.body.nextPage, null);
+  const all = [...first.body.results, ...second.body.results].map(r => r.lastName).sort();
+  assert.deepEqual(all, ['BERNARD', 'DUPONT']);
+
+  const missing = await callApi('/api/organization?count=1');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing id parameter');
+});
+
+test('structure : rôles d\'un praticien regroupés, jamais répartis sur deux pages', async () => {
+  // GARNIER a deux rôles dans la structure, séparés par celui de ROUX côté passerelle
+  const first = await callApi('/api/organization?id=demo-org-005&count=1');
+  assert.equal(first.body.totalFhir, 3);
+  assert.equal(first.body.totalPractitioners, 2);
+  assert.deepEqual(first.body.results.map(r => [r.lastName, r.roles.length]), [['GARNIER', 2]]);
+  assert.ok(first.body.nextPage);
+
+  const second = await nextPage('/api/organization', first.body.nextPage);
+  assert.deepEqual(second.body.results.map(r => [r.lastName, r.roles.length]), [['ROUX', 1]]);
+  assert.equal(second.body.nextPage, null);
+});
+
+test('recherche en masse : trouvés et introuvables', async () => {
+  const { status, body } = await callApi('/api/search/bulk', {
+    method: 'POST',
+    body: { rpps: ['10100000011', '10100000037', '10199999999', 'abc'] },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(r => r.rpps).sort(), ['10100000011', '10100000037']);
+  assert.deepEqual(body.notFound, ['10199999999']);
+  assert.deepEqual(body.invalid, ['abc']);
+});
+
+test('recherche en masse : budget réservé pour deux praticiens par RPPS', async () => {
+  // SUBREQUEST_LIMIT 7 : 2 sous-requêtes disponibles (5 réservées, voir trace.js)
+  const env = { SUBREQUEST_LIMIT: '7' };
+  const small = await callApi('/api/search/bulk', { method: 'POST', body: { rpps: ['10100000011', '10100000037', '10199999999'] }, env });
+  assert.equal(small.body.requested, 3);
+  assert.equal(small.body.truncated, undefined);
+
+  // 26 RPPS : jusqu'à 52 praticiens, soit 2 lots de rôles en plus de la recherche Practitioner
+  const rpps = Array.from({ length: 26 }, (_, i) => String(10100000100 + i));
+  const large = await callApi('/api/search/bulk', { method: 'POST', body: { rpps }, env });
+  assert.equal(large.status, 200);
+  assert.equal(large.body.requested, 0);
+  assert.deepEqual(large.body.remaining, rpps);
+  assert.equal(large.body.truncatedReason, 'subrequest_budget');
+});
+
+test('recherche en masse : erreurs { error, code }', async () => {
+  const empty = await callApi('/api/search/bulk', { method: 'POST', body: { rpps: ['abc'] } });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, 'bad_request');
+  assert.match(empty.body.error, /1 numéro illisible/);
+
+  const unreadable = await callApi('/api/search/bulk', { method: 'POST', body: { ids: ['10100000011'] } });
+  assert.equal(unreadable.status, 400);
+  assert.equal(unreadable.body.code, 'bad_request');
+
+  const tooMany = Array.from({ length: 5001 }, (_, i) => String(10100000000 + i));
+  const large = await callApi('/api/search/bulk', { method: 'POST', body: { rpps: tooMany } });
+  assert.equal(large.status, 413);
+  assert.equal(large.body.code, 'too_many_rows');
+});
+
+test('rapprochement CRM : confiance, indices, candidats concurrents', async () => {
+  const rows = [
+    { Nom: 'Dupont', Prénom: 'Marie', Ville: 'Paris', Téléphone: '01 43 00 01 11' },
+    { Nom: 'Dupont', Prénom: 'J.', Ville: 'Paris' },
+    { Nom: 'Dupont', Ville: 'Lyon' },
+    { Nom: 'Lefebre', Prénom: 'Paul', Spécialité: 'cardiologie' },
+    { Nom: 'Moreau', Prénom: 'Louis', 'Code postal': '75011' },
+    { Nom: 'Inconnu', Prénom: 'Zoé' },
+    { Nom: '', Prénom: 'X' },
+  ];
+  const { status, body } = await callApi('/api/reconcile', { method: 'POST', body: { rows } });
+  assert.equal(status, 200);
+  assert.equal(body.mapping.lastName, 'Nom');
+  assert.equal(body.mapping.phone, 'Téléphone');
+  assert.equal(body.nextOffset, null);
+  assert.deepEqual(body.results.map(r => [r.status, r.candidates[0]?.rpps ?? null]), [
+    ['matched', '10100000011'],
+    ['matched', '10100000029'],
+    ['review', '10100000029'],
+    ['review', '10100000045'],
+    ['matched', '10100000060'],
+    ['unmatched', null],
+    ['unmatched', null],
+  ]);
+
+  const [marie, jean, lyon, typo, moreau] = body.results;
+  assert.equal(marie.confidence, 100);
+  assert.deepEqual(marie.candidates[0].evidence, { lastName: 'exact', firstName: 'exact', location: 'city', phone: 'match' });
+  assert.deepEqual(marie.values, rows[0]);
+  assert.equal(jean.candidates[0].evidence.firstName, 'initial');
+  // Deux Dupont : le candidat concurrent est proposé, localisation discordante pénalisée
+  assert.equal(lyon.reason, 'low_confidence');
+  assert.deepEqual(lyon.candidates.map(c => c.firstName), ['Jean Michel', 'Marie']);
+  assert.equal(lyon.candidates[1].evidence.location, 'mismatch');
+  assert.equal(typo.candidates[0].evidence.lastName, 'approx');
+  assert.equal(typo.candidates[0].evidence.specialty, 'match');
+  assert.equal(moreau.candidates[0].active, false);
+  assert.equal(body.results[6].reason, 'missing_name');
+
+  const missing = await callApi('/api/reconcile', { method: 'POST', body: { rows: [{ Ville: 'Paris' }] } });
+  assert.equal(missing.status, 400);
+});
+
+test('rapprochement CRM : suite du fichier après épuisement du budget', async () => {
+  const rows = [
+    { Nom: 'Dupont', Prénom: 'Marie', Ville: 'Paris', Téléphone: '01 43 00 01 11' },
+    { Nom: 'Dupont', Prénom: 'J.', Ville: 'Paris' },
+    { Nom: 'Dupont', Ville: 'Lyon' },
+  ];
+  // 3 sous-requêtes disponibles : une ligne par appel
+  const env = { SUBREQUEST_LIMIT: '8' };
+  const results = [];
+  let offset = 0;
+  while (offset !== null) {
+    const { body } = await callApi(`/api/reconcile?offset=${offset}`, { method: 'POST', body: { rows }, env });
+    assert.equal(body.processed, 1);
+    if (body.nextOffset !== null) assert.equal(body.truncatedReason, 'subrequest_budget');
+    results.push(...body.results);
+    offset = body.nextOffset;
+  }
+  assert.deepEqual(results.map(r => [r.row, r.status]), [[0, 'matched'], [1, 'matched'], [2, 'review']]);
+});
+
+test('export JSON', async () => {
+  const { status, headers, body } = await callApi('/api/export?format=json&ids=demo-pr-001,demo-pr-003');
+  assert.equal(status, 200);
+  assert.equal(headers.get('X-Export-Not-Found'), '0');
+  assert.match(headers.get('Content-Disposition'), /annuaire-sante-.*\.json/);
+  assert.deepEqual(body.results.map(r => r.lastName).sort(), ['DUPONT', 'MARTIN']);
+});
+
+test('export de structures : JSON et vCard', async () => {
+  const json = await callApi('/api/export?kind=organization&format=json&ids=demo-org-002,demo-org-004');
+  assert.equal(json.status, 200);
+  assert.deepEqual(json.body.results.map(o => o.finess), ['750000022', '690000044']);
+
+  const vcf = await callApi('/api/export?kind=organization&format=vcf&ids=demo-org-002,demo-org-004');
+  assert.equal(vcf.status, 200);
+  assert.equal(vcf.body.match(/BEGIN:VCARD/g).length, 2);
+  assert.match(vcf.body, /ORG:EHPAD Les Tilleuls/);
+  assert.match(vcf.body, /TEL;TYPE=WORK,VOICE:\+33478000044/);
+
+  const unknown = await callApi('/api/export?kind=site&ids=demo-org-002');
+  assert.equal(unknown.status, 400);
+});
+
+test('géocodage : centre de la commune hors ligne, adresses inconnues signalées', async () => {
+  const { status, body } = await callApi('/api/geocode', {
+    method: 'POST',
+    body: { addresses: [
+      { id: 'org-1', street: '12 rue de la Roquette', postalCode: '75011', city: 'Paris' },
+      { id: 'org-3', street: '155 boulevard de Stalingrad', postalCode: '69006', city: 'Lyon', cityCode: '69123' },
+      { id: 'nulle-part', street: '1 rue Inconnue', postalCode: '99999', city: 'Nullepart' },
+    ] },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(r => [r.id, r.source, r.precision]), [['org-1', 'local', 'municipality'], ['org-3', 'local', 'municipality']]);
+  assert.ok(Math.abs(body.results[1].lat - 45.758) < 0.01);
+  assert.deepEqual(body.notFound, ['nulle-part']);
+
+  assert.equal((await callApi('/api/geocode')).status, 400);
+  assert.equal((await callApi('/api/geocode?postal_code=69006&city=Lyon')).body.total, 1);
+});
+
+test('géocodage : BAN appelée dans la limite du budget de sous-requêtes', async t => {
+  const feature = { geometry: { coordinates: [2.3755, 48.8556] }, properties: { score: 0.9, type: 'housenumber', label: '12 Rue de la Roquette 75011 Paris' } };
+  const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json({ features: [feature] }));
+  const env = { trace: createTrace({ limit: 6 }) }; // une seule sous-requête disponible
+
+  const points = await geocodeAddresses([
+    { street: '12 rue de la Roquette', postalCode: '75011', city: 'Paris' },
+    { street: '155 boulevard de Stalingrad', postalCode: '69006', city: 'Lyon', cityCode: '69123' },
+  ], env);
+  assert.deepEqual(points.map(p => p.source), ['ban', 'local']);
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(env.trace.used, 1);
+  assert.equal(env.trace.truncated.reason, 'subrequest_budget');
+});
+
+test('surveillance : instantané pris à l\'ajout', async () => {
+  const { status, body } = await callApi('/api/watchlist', {
+    method: 'POST',
+    body: { rpps: ['10100000011', '10199999999'] },
+  });
+  assert.equal(status, 201);
+  assert.deepEqual(body.added, ['10100000011', '10199999999']);
+
+  const list = await callApi('/api/watchlist');
+  const marie = list.body.results.find(e => e.rpps === '10100000011');
+  assert.equal(marie.name, 'Dr Marie DUPONT');
+  assert.ok(marie.checkedAt);
+  assert.equal(list.body.results.find(e => e.rpps === '10199999999').checkedAt, null);
+});
+
+test('listes : création, lecture, renommage, suppression', async () => {
+  const created = await callApi('/api/lists', {
+    method: 'POST',
+    body: { name: '  Cardiologues  ', items: [{ id: 'demo-pr-001', lastName: 'DUPONT', score: 12 }, { id: 'demo-pr-001' }, { id: 'demo-pr-002' }] },
+  });
+  assert.equal(created.status, 201);
+  const { id, shareId } = created.body;
+  assert.equal(created.body.name, 'Cardiologues');
+  // Doublons retirés, champs propres à la recherche (score) écartés
+  assert.deepEqual(created.body.items, [{ id: 'demo-pr-001', lastName: 'DUPONT' }, { id: 'demo-pr-002' }]);
+
+  const read = await callApi(`/api/lists?id=${id}`);
+  assert.equal(read.status, 200);
+  assert.deepEqual(read.body, created.body);
+
+  const renamed = await callApi(`/api/lists?id=${id}`, { method: 'PUT', body: { name: 'Cardiologues 69' } });
+  assert.equal(renamed.body.name, 'Cardiologues 69');
+  assert.equal(renamed.body.items.length, 2);
+  assert.equal(renamed.body.shareId, shareId);
+
+  const summaries = await callApi(`/api/lists?ids=${id},inconnue-0123456`);
+  assert.deepEqual(summaries.body.results.map(s => [s.name, s.count]), [['Cardiologues 69', 2]]);
+
+  const deleted = await callApi(`/api/lists?id=${id}`, { method: 'DELETE' });
+  assert.deepEqual(deleted.body, { deleted: true });
+  const gone = await callApi(`/api/lists?id=${id}`);
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.code, 'list_not_found');
+  assert.equal((await callApi(`/api/lists?share=${shareId}`)).status, 404);
+});
+
+test('listes : lien de partage en lecture seule', async () => {
+  const { body: list } = await callApi('/api/lists', { method: 'POST', body: { items: [{ id: 'demo-pr-001' }] } });
+
+  const shared = await callApi(`/api/lists?share=${list.shareId}`);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.body.name, 'Ma sélection');
+  assert.equal(shared.body.id, undefined);
+  assert.deepEqual(shared.body.items, [{ id: 'demo-pr-001' }]);
+
+  // Le shareId ne donne pas le droit de modifier
+  const update = await callApi(`/api/lists?id=${list.shareId}`, { method: 'PUT', body: { name: 'Piratée' } });
+  assert.equal(update.status, 404);
+  assert.equal((await callApi(`/api/lists?id=${list.id}`)).body.name, 'Ma sélection');
+});
+
+test('listes : erreurs { error, code }', async () => {
+  for (const [path, options, expected, code] of [
+    ['/api/lists', {}, 400, 'bad_request'],
+    ['/api/lists?id=../etc', {}, 400, 'bad_request'],
+    ['/api/lists', { method: 'POST', body: { items: 'demo-pr-001' } }, 400, 'bad_request'],
+    ['/api/lists', { method: 'POST', body: { items: [{ rpps: '10100000011' }] } }, 400, 'bad_request'],
+    ['/api/lists', { method: 'POST', body: { items: Array.from({ length: 1001 }, (_, i) => ({ id: `p${i}` })) } }, 413, 'list_too_large'],
+  ]) {
+    const { status, body } = await callApi(path, options);
+    assert.deepEqual([status, body.code], [expected, code], path);
+    assert.ok(body.error);
+  }
+});
@@ -0,0 +1,288 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callApi, nextPage } from './helpers.mjs';
+
+const names = data => data.results.map(r => `${r.firstName} ${r.lastName}`);
+
+test('RPPS : fiche unique avec ses rôles et structures', async () => {
+  const { status, body } = await callApi('/api/search?rpps=10100000011');
+  assert.equal(status, 200);
+  assert.equal(body.total, 1);
+  const [p] = body.results;
+  assert.equal(p.rpps, '10100000011');
+  assert.equal(p.roles.length, 1);
+  assert.equal(p.roles[0].organization.name, 'Cabinet médical de la Roquette');
+});
+
+test('nom : famille exacte', async () => {
+  const { body } = await callApi('/api/search?name=Dupont');
+  assert.deepEqual(names(body).sort(), ['Jean Michel DUPONT', 'Marie DUPONT']);
+  assert.equal(body.nextPage, null);
+  assert.equal(body.message, undefined);
+});
+
+test('nom : prénom et nom inversés', async () => {
+  const { body } = await callApi('/api/search?name=Marie%20Dupont');
+  assert.deepEqual(names(body), ['Marie DUPONT']);
+});
+
+test('nom : faute de frappe → noms approchants', async () => {
+  const { body } = await callApi('/api/search?name=Dupontt');
+  assert.equal(body.message, 'Aucun résultat exact — noms approchants');
+  assert.ok(body.results.length >= 1);
+  assert.ok(body.results.every(r => r.lastName === 'DUPONT'));
+});
+
+test('nom + ville : post-filtre sur les lieux d\'exercice', async () => {
+  const { body } = await callApi('/api/search?name=Dupont&city=Paris');
+  assert.equal(body.location.label.startsWith('Paris'), true);
+  assert.deepEqual(names(body).sort(), ['Jean Michel DUPONT', 'Marie DUPONT']);
+  assert.ok(body.results.every(r => r.roles.some(role => role.organization?.postalCode?.startsWith('75'))));
+});
+
+test('ville seule : recherche inversée par les structures', async () => {
+  const { body } = await callApi('/api/search?city=Paris');
+  assert.equal(body.total, 5);
+  assert.ok(body.results.every(r => r.roles.length));
+  assert.equal(body.nextPage, null);
+});
+
+test('département seul : préfixe de code postal', async () => {
+  const { body } = await callApi('/api/search?department=69');
+  assert.deepEqual(names(body).sort(), ['Jean Michel DUPONT', 'Nina PETIT', 'Paul LEFEBVRE']);
+});
+
+test('spécialité + ville : structures de la zone filtrées par qualification', async () => {
+  const { body } = await callApi('/api/search?city=Lyon&specialty_code=SM04');
+  assert.deepEqual(names(body), ['Paul LEFEBVRE']);
+});
+
+test('spécialité + nom : qualification-code et famille', async () => {
+  const { body } = await callApi('/api/search?name=Lefebvre&specialty_code=SM04');
+  assert.equal(body.total, 1);
+  assert.equal(body.results[0].qualifications.find(q => q.code === 'SM04').display, 'Cardiologie et Maladies vasculaires');
+});
+
+test('spécialité seule', async () => {
+  const { body } = await callApi('/api/search?specialty_code=SM54');
+  assert.deepEqual(names(body), ['Jean Michel DUPONT']);
+  assert.equal(body.results[0].roles.length, 2);
+});
+
+test('profession seule : PractitionerRole paginé par curseur', async () => {
+  const first = await callApi('/api/search?specialty_code=60&count=1');
+  assert.equal(first.body.total, 1);
+  assert.equal(first.body.totalFhir, 2);
+  assert.ok(first.body.nextPage);
+
+  const second = await nextPage('/api/search', first.body.nextPage);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.nextPage, null);
+  assert.deepEqual([...names(first.body), ...names(second.body)].sort(), ['Nina PETIT', 'Sophie MARTIN']);
+});
+
+test('nom : count fixe la taille de page, la suite reste accessible', async () => {
+  const first = await callApi('/api/search?name=Dupont&count=1');
+  assert.equal(first.body.total, 1);
+  assert.equal(first.body.totalFhir, 2);
+  assert.ok(first.body.nextPage);
+
+  const second = await nextPage('/api/search', first.body.nextPage);
+  assert.equal(second.body.total, 1);
+  assert.equal(second.body.nextPage, null);
+  assert.deepEqual([...names(first.body), ...names(second.body)].sort(), ['Jean Michel DUPONT', 'Marie DUPONT']);
+});
+
+test('count illisible ou hors bornes : valeur par défaut, au moins 1', async () => {
+  const all = await callApi('/api/search?name=Dupont');
+  for (const count of ['abc', '0']) {
+    const { status, body } = await callApi(`/api/search?name=Dupont&count=${count}`);
+    assert.equal(status, 200);
+    assert.deepEqual(names(body), names(all.body));
+    assert.equal(body.nextPage, null);
+  }
+  const negative = await callApi('/api/search?name=Dupont&count=-5');
+  assert.equal(negative.body.total, 1);
+  assert.ok(negative.body.nextPage);
+});
+
+test('spécialité en texte libre sans correspondance', async () => {
+  const { status, body } = await callApi('/api/search?specialty=acupuncture');
+  assert.equal(status, 200);
+  assert.equal(body.total, 0);
+});
+
+test('référentiel des spécialités : limit borné, valeur négative ignorée', async () => {
+  const all = await callApi('/api/specialties?kind=specialty');
+  assert.equal(all.status, 200);
+  assert.ok(all.body.total > 3);
+
+  const limited = await callApi('/api/specialties?kind=specialty&limit=3');
+  assert.deepEqual(limited.body.results, all.body.results.slice(0, 3));
+
+  for (const limit of ['-2', 'abc']) {
+    const { body } = await callApi(`/api/specialties?kind=specialty&limit=${limit}`);
+    assert.equal(body.total, all.body.total, limit);
+  }
+});
+
+test('critères absents ou invalides', async () => {
+  assert.equal((await callApi('/api/search')).status, 400);
+
+  const unknown = await callApi('/api/search?specialty_code=XX99');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, 'unknown_specialty');
+
+  const cursor = await callApi('/api/search?next=forged.token');
+  assert.equal(cursor.status, 400);
+  assert.equal(cursor.body.code, 'invalid_cursor');
+});
+
+test('filtres d\'exercice : libéral en activité', async () => {
+  const { body } = await callApi('/api/search?name=Dupont&practice_mode=liberal&active_only=1');
+  // Jean Michel DUPONT : libéral jusqu'en 2019, salarié depuis
+  assert.deepEqual(names(body), ['Marie DUPONT']);
+
+  const salaried = await callApi('/api/search?name=Dupont&practice_mode=S');
+  assert.deepEqual(names(salaried.body), ['Jean Michel DUPONT']);
+
+  const city = await callApi('/api/search?city=Paris&active_only=1');
+  assert.equal(city.body.total, 4);
+  assert.ok(!city.body.results.some(r => r.lastName === 'MOREAU'));
+
+  const invalid = await callApi('/api/search?name=Dupont&practice_mode=mixte');
+  assert.equal(invalid.status, 400);
+});
+
+test('critères combinés : le plan indique où chaque critère est appliqué', async () => {
+  const { body } = await callApi('/api/search?rpps=10100000011&name=Dupont');
+  assert.deepEqual(names(body), ['Marie DUPONT']);
+  assert.deepEqual(body.plan, {
+    strategy: 'rpps',
+    criteria: [
+      { criterion: 'rpps', value: '10100000011', applied: 'gateway' },
+      { criterion: 'name', value: 'Dupont', applied: 'filter' },
+    ],
+  });
+
+  // RPPS d'un autre praticien que le nom : aucun résultat, plus de RPPS prioritaire
+  const mismatch = await callApi('/api/search?rpps=10100000011&name=Lefebvre');
+  assert.equal(mismatch.body.total, 0);
+
+  const located = await callApi('/api/search?city=Paris&practice_mode=S');
+  assert.equal(located.body.plan.strategy, 'location');
+  assert.deepEqual(located.body.plan.criteria.map(c => [c.criterion, c.applied]), [['location', 'gateway'], ['practice_mode', 'filter']]);
+  assert.deepEqual(names(located.body).sort(), ['Jean Michel DUPONT', 'Sophie MARTIN']);
+});
+
+test('critères combinés : code de spécialité et texte libre', async () => {
+  const general = await callApi('/api/search?specialty_code=SM54&specialty=M%C3%A9decine%20g%C3%A9n%C3%A9rale');
+  assert.deepEqual(names(general.body), ['Jean Michel DUPONT']);
+  assert.equal(general.body.plan.criteria.find(c => c.criterion === 'specialty').applied, 'filter');
+
+  const cardio = await callApi('/api/search?specialty_code=SM54&specialty=cardiologie');
+  assert.equal(cardio.body.total, 0);
+});
+
+test('filtres d\'exercice seuls : critère principal requis', async () => {
+  const { status, body } = await callApi('/api/search?practice_mode=L');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'bad_request');
+});
+
+const records = text => text.trim().split('\n').map(line => JSON.parse(line));
+
+test('flux NDJSON : meta, un enregistrement par praticien, récapitulatif', async () => {
+  const { status, headers, body } = await callApi('/api/search?city=Paris&stream=1');
+  assert.equal(status, 200);
+  assert.match(headers.get('Content-Type'), /^application\/x-ndjson/);
+
+  const lines = records(body);
+  assert.equal(lines[0].type, 'meta');
+  assert.equal(lines[0].plan.strategy, 'location');
+  assert.equal(lines.at(-1).type, 'end');
+  assert.equal(lines.at(-1).total, 5);
+  assert.equal(lines.at(-1).nextPage, null);
+
+  const results = lines.filter(l => l.type === 'result').map(l => l.result);
+  assert.equal(new Set(results.map(r => r.id)).size, 5);
+});
+
+test('flux NDJSON : Accept, et erreurs avant le premier enregistrement en JSON', async () => {
+  const accepted = await callApi('/api/search?name=Dupont', { headers: { Accept: 'application/x-ndjson' } });
+  const lines = records(accepted.body);
+  assert.deepEqual(lines.map(l => l.type), ['meta', 'result', 'result', 'end']);
+
+  const empty = await callApi('/api/search?stream=1');
+  assert.equal(empty.status, 400);
+
+  const limited = await callApi('/api/search?name=Surcharge&stream=1');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'rate_limited');
+  assert.equal(limited.headers.get('Retry-After'), '30');
+});
+
+test('structures : nom, FINESS et code de type envoyés à la passerelle', async () => {
+  const byName = await callApi('/api/search/organizations?name=Clinique');
+  assert.equal(byName.status, 200);
+  assert.deepEqual(byName.body.results.map(o => o.name), ['Clinique du Parc']);
+  assert.equal(byName.body.plan.strategy, 'organization');
+
+  // count illisible : taille de page par défaut
+  const badCount = await callApi('/api/search/organizations?name=Clinique&count=abc');
+  assert.deepEqual(badCount.body.results.map(o => o.name), ['Clinique du Parc']);
+
+  const byFiness = await callApi('/api/search/organizations?finess=690 000 033');
+  assert.deepEqual(byFiness.body.results.map(o => o.id), ['demo-org-003']);
+
+  const byType = await callApi('/api/search/organizations?type=124');
+  assert.deepEqual(byType.body.results.map(o => o.name), ['Centre de santé Voltaire']);
+});
+
+test('structures : type en texte libre post-filtré dans la zone', async () => {
+  const { status, body } = await callApi('/api/search/organizations?type=EHPAD&city=Lyon');
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(o => o.name), ['EHPAD Les Tilleuls']);
+  assert.deepEqual(body.plan.criteria.map(c => [c.criterion, c.applied]), [['type', 'filter'], ['location', 'gateway']]);
+  assert.equal(body.location.label, 'Lyon (69)');
+});
+
+test('structures : critères absents ou invalides', async () => {
+  assert.equal((await callApi('/api/search/organizations')).status, 400);
+  assert.equal((await callApi('/api/search/organizations?siret=123')).status, 400);
+  assert.equal((await callApi('/api/search/organizations?finess=ABC')).status, 400);
+  assert.equal((await callApi('/api/search/organizations?type=EHPAD')).status, 400);
+});
+
+test('facettes : effectifs sur les praticiens fusionnés et valeurs par résultat', async () => {
+  const { body } = await callApi('/api/search?city=Paris');
+  const counts = facet => Object.fromEntries(body.facets[facet].map(f => [f.value, f.count]));
+  assert.deepEqual(counts('profession'), { 10: 3, 60: 1, 70: 1 });
+  assert.deepEqual(counts('active'), { active: 4, inactive: 1 });
+  assert.deepEqual(counts('contact'), { phone: 3, email: 1 });
+  assert.equal(body.facets.city[0].label, '75011 Paris');
+
+  const moreau = body.results.find(r => r.lastName === 'MOREAU');
+  assert.deepEqual(moreau.facets.specialty, ['SM18']);
+  assert.deepEqual(moreau.facets.active, ['inactive']);
+
+  const streamed = records((await callApi('/api/search?city=Paris&stream=1')).body);
+  assert.deepEqual(streamed.at(-1).facets, body.facets);
+  assert.ok(streamed.filter(l => l.type === 'result').every(l => l.result.facets));
+});
+
+test('suggestions de noms : préfixes, spécialité, ville, cache court', async () => {
+  const { status, headers, body } = await callApi('/api/suggest?q=Dup');
+  assert.equal(status, 200);
+  assert.equal(headers.get('Cache-Control'), 'public, max-age=300');
+  assert.deepEqual(body.results.map(r => r.firstName), ['Jean Michel', 'Marie']);
+
+  const marie = (await callApi('/api/suggest?q=marie dup')).body.results;
+  assert.deepEqual(marie, [{
+    id: 'demo-pr-001', rpps: '10100000011', prefix: 'Dr', firstName: 'Marie', lastName: 'DUPONT',
+    specialty: 'Cardiologie et Maladies vasculaires', city: 'Paris', postalCode: '75011',
+  }]);
+
+  assert.equal((await callApi('/api/suggest?q=Zzz')).body.total, 0);
+  assert.equal((await callApi('/api/suggest?q=D')).body.total, 0);
+});
@@ -0,0 +1,20 @@
+/**
+ * Cloudflare Worker — passage planifié de la liste de surveillance
+ * Les Pages Functions n'ont pas de Cron Trigger : ce Worker partage le même
+ * namespace KV (WATCHLIST) et le même code que /api/watchlist
+ *
+ * Local : npx wrangler dev --test-scheduled, puis curl "http://localhost:8787/__scheduled"
+ */
+
+import { runWatchlist } from '../functions/_lib/watchlist.js';
+import { createTrace, DEFAULT_SUBREQUEST_LIMIT } from '../functions/_lib/trace.js';
+
+export default {
+  async scheduled(event, env, ctx) {
+    // Même budget de sous-requêtes que les Pages Functions : un passage trop long s'arrête proprement
+    const trace = createTrace({ limit: Number(env.SUBREQUEST_LIMIT) || DEFAULT_SUBREQUEST_LIMIT });
+    ctx.waitUntil(runWatchlist({ ...env, trace }).then(({ checked, skipped, changed }) => {
+      console.log(JSON.stringify({ event: 'watchlist_run', requestId: trace.id, checked, skipped, changed, subrequests: trace.used }));
+    }));
+  },
+};